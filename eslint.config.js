@@ -19,6 +19,16 @@ export default defineConfig([
     },
   },
 
+  {
+    name: "app/node-scripts",
+    files: ["server/**/*.js", "scripts/**/*.js"],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
+
   js.configs.recommended,
   ...pluginVue.configs["flat/essential"],
 
@@ -0,0 +1,55 @@
+// scripts/check-locales.js
+// Locale check: every language in src/locales must have the same keys, with the same
+// placeholders, and every key passed as a literal to `t(...)`, `logEvent(...)` or `announce(...)`
+// in src/ must exist.
+//
+//   npm run i18n:check
+//
+// Exits with code 1 when something is missing, so it can run in CI.
+// Runs through vite-node, which resolves the JSON and extensionless imports of src/.
+import { readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { LOCALES, findMissingKeys, findUsedKeys } from "../src/utils/i18n";
+
+/** @const {string} Folder scanned for message keys, see findUsedKeys */
+const SOURCE_DIR = new URL("../src", import.meta.url).pathname;
+
+/**
+ * Lists the source files of a folder, tests excluded
+ * @param {string} dir - Folder to walk
+ * @returns {string[]} Paths of the .js and .vue files
+ */
+function listSourceFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === "__tests__" ? [] : listSourceFiles(path);
+    return /\.(js|vue)$/.test(entry.name) ? [path] : [];
+  });
+}
+
+function main() {
+  const usedKeys = [
+    ...new Set(
+      listSourceFiles(SOURCE_DIR).flatMap((file) => findUsedKeys(readFileSync(file, "utf8")))
+    ),
+  ];
+  const messages = Object.fromEntries(
+    Object.entries(LOCALES).map(([code, locale]) => [code, locale.messages])
+  );
+  const problems = findMissingKeys(messages, usedKeys);
+
+  let failed = false;
+  Object.entries(problems).forEach(([code, { missing, placeholders }]) => {
+    if (!missing.length && !placeholders.length) {
+      console.info(`${code}: OK`);
+      return;
+    }
+    failed = true;
+    missing.forEach((key) => console.error(`${code}: missing key ${key}`));
+    placeholders.forEach((key) => console.error(`${code}: placeholders differ in ${key}`));
+  });
+  console.info(`${usedKeys.length} keys used in src/`);
+  if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,153 @@
+// scripts/simulate.js
+// Balance CLI: plays N seeded runs per strategy without a screen and reports how they went.
+//
+//   npm run simulate -- --runs 500 --strategies fighter,briber --campaign my-campaign.json
+//
+// Every strategy plays the same seeds, so their numbers can be compared directly.
+// Runs through vite-node, which resolves the JSON and extensionless imports of src/.
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { parseCampaign, DEFAULT_CAMPAIGN } from "../src/utils/campaigns";
+import { STRATEGIES } from "../src/utils/strategies";
+import { getPlugin, getRegisteredPlugins } from "../src/utils/plugins";
+import "../src/plugins";
+import { STAKES } from "../src/utils/stakes";
+import { simulateRun, summarizeSimulation } from "../src/utils/simulation";
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES).join(", ");
+const PLUGIN_IDS = getRegisteredPlugins()
+  .map((plugin) => plugin.id)
+  .join(", ");
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --runs <n>            Runs per strategy (default 100)
+  --strategies <list>   Comma separated strategies (default: all): ${STRATEGY_NAMES}
+  --campaign <file>     Campaign JSON to play instead of the default one
+  --players <n>         Hot-seat players per run, all played by the strategy (default 1)
+  --plugins <list>      Comma separated plugins changing the rules (default: none): ${PLUGIN_IDS}
+  --stake <n>           Difficulty stake, 0 to ${STAKES.length - 1} (default 0)
+  --endless             Keep playing generated stages after the campaign
+  --seed <prefix>       Seed prefix; run i uses "<prefix>-<i>" (default "sim")
+  --json                Print the summaries as JSON
+  --help                Show this help`;
+
+/**
+ * Formats a share as a percentage
+ * @param {number} value - Share between 0 and 1
+ * @returns {string} e.g. "42.0%"
+ */
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats a map keyed by stage, e.g. "E1: 3 · E2: 5"
+ * @param {Object.<number, number>} byStage - Values keyed by stage
+ * @param {function(number): string} format - Value formatter
+ * @returns {string} Formatted values, "-" when empty
+ */
+function formatByStage(byStage, format) {
+  const entries = Object.entries(byStage).sort((a, b) => a[0] - b[0]);
+  if (!entries.length) return "-";
+  return entries.map(([stage, value]) => `E${stage}: ${format(value)}`).join(" · ");
+}
+
+/**
+ * Prints the report of a strategy
+ * @param {string} name - Strategy name
+ * @param {import("../src/utils/simulation").SimulationSummary} summary - Aggregated stats
+ */
+function printSummary(name, summary) {
+  console.info(`\n== ${name} (${STRATEGIES[name].description})`);
+  console.info(`Runs:                 ${summary.runs} (${summary.stuckRuns} stuck)`);
+  console.info(`Win rate:             ${percent(summary.winRate)}`);
+  console.info(`Average stage:        ${summary.averageStageReached.toFixed(2)}`);
+  console.info(`Losses by stage:      ${formatByStage(summary.lossesByStage, String)}`);
+  const moneyAtBoss = formatByStage(summary.averageMoneyAtBoss, (money) => `$${money.toFixed(0)}`);
+  console.info(`Money at each boss:   ${moneyAtBoss}`);
+  console.info(`Bribed bosses:        ${percent(summary.bribeRate)}`);
+  console.info(`Fights won:           ${percent(summary.fightWinRate)}`);
+  const deadliest = summary.deadliestBoss
+    ? `${summary.deadliestBoss.boss} (${summary.deadliestBoss.runs})`
+    : "-";
+  console.info(`Deadliest boss:       ${deadliest}`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      runs: { type: "string", default: "100" },
+      strategies: { type: "string", default: Object.keys(STRATEGIES).join(",") },
+      campaign: { type: "string" },
+      players: { type: "string", default: "1" },
+      plugins: { type: "string", default: "" },
+      stake: { type: "string", default: "0" },
+      endless: { type: "boolean", default: false },
+      seed: { type: "string", default: "sim" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    console.info(USAGE);
+    return;
+  }
+
+  const runs = Number(values.runs);
+  const players = Number(values.players);
+  const names = values.strategies.split(",").map((name) => name.trim());
+  const unknown = names.filter((name) => !STRATEGIES[name]);
+  if (!Number.isInteger(runs) || runs < 1 || !Number.isInteger(players) || players < 1) {
+    throw new Error("--runs y --players deben ser enteros mayores o iguales a 1.");
+  }
+  if (unknown.length) throw new Error(`Estrategias desconocidas: ${unknown.join(", ")}`);
+  const plugins = values.plugins
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const unknownPlugins = plugins.filter((id) => !getPlugin(id));
+  if (unknownPlugins.length) {
+    throw new Error(`Plugins desconocidos: ${unknownPlugins.join(", ")}`);
+  }
+  const stake = Number(values.stake);
+  if (!STAKES[stake]) throw new Error(`--stake debe ser un entero entre 0 y ${STAKES.length - 1}.`);
+  const campaign = values.campaign
+    ? parseCampaign(readFileSync(values.campaign, "utf8"))
+    : DEFAULT_CAMPAIGN;
+  const playerNames = Array.from({ length: players }, (_, i) => `Bot ${i + 1}`);
+
+  // The store logs every move; a simulation only needs the report
+  const { log, warn } = console;
+  const summaries = {};
+  for (const name of names) {
+    const records = [];
+    console.log = console.warn = () => {};
+    try {
+      for (let i = 0; i < runs; i++) {
+        records.push(
+          await simulateRun({
+            seed: `${values.seed}-${i}`,
+            strategy: STRATEGIES[name],
+            campaign,
+            playerNames,
+            plugins,
+            stake,
+            endless: values.endless,
+          })
+        );
+      }
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+    summaries[name] = summarizeSimulation(records);
+    if (!values.json) printSummary(name, summaries[name]);
+  }
+  if (values.json) console.info(JSON.stringify(summaries, null, 2));
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
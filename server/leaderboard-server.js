@@ -0,0 +1,208 @@
+// server/leaderboard-server.js
+// Local stand-in for the leaderboard service, used during development and in tests.
+// Start it with `npm run leaderboard`; scores are kept in a JSON file.
+//
+//   GET  /scores?campaign=<id>&seed=<seed>&limit=<n>  -> { scores: [...] } best first
+//   POST /scores { name, score, campaign, seed, stageReached } -> { entry }
+import { createServer } from "node:http";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/** @const {number} Port used when PORT is not set */
+export const DEFAULT_PORT = 8787;
+
+/** @const {string} File holding the scores when LEADERBOARD_FILE is not set */
+const DEFAULT_DATA_FILE = resolve(dirname(fileURLToPath(import.meta.url)), "data/scores.json");
+
+/** @const {number} Largest request body accepted, in bytes */
+const MAX_BODY_BYTES = 10000;
+
+/** @const {number} Scores returned when the request sets no limit */
+const DEFAULT_LIMIT = 10;
+
+/** @const {number} Most scores a single request can return */
+const MAX_LIMIT = 100;
+
+/** @const {number} Longest player name accepted */
+export const MAX_NAME_LENGTH = 24;
+
+/**
+ * @typedef {Object} ScoreEntry
+ * @property {string} name - Player name
+ * @property {number} score - Score, see src/utils/score.js
+ * @property {string} campaign - Campaign id
+ * @property {string} seed - Seed of the run
+ * @property {number} stageReached - Furthest stage reached
+ * @property {string} submittedAt - ISO date set by the server
+ */
+
+/**
+ * Validates a submitted score
+ * @param {*} entry - Request body
+ * @returns {string[]} Error messages, empty when the entry is valid
+ */
+export function validateScoreEntry(entry) {
+  if (!entry || typeof entry !== "object") return ["El cuerpo debe ser un objeto JSON."];
+  const errors = [];
+  const name = typeof entry.name === "string" ? entry.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    errors.push(`"name" debe tener entre 1 y ${MAX_NAME_LENGTH} caracteres.`);
+  }
+  if (!Number.isInteger(entry.score) || entry.score < 0) {
+    errors.push('"score" debe ser un entero mayor o igual a 0.');
+  }
+  if (typeof entry.campaign !== "string" || !entry.campaign) {
+    errors.push('"campaign" debe ser un texto no vacío.');
+  }
+  if (typeof entry.seed !== "string" || !entry.seed) {
+    errors.push('"seed" debe ser un texto no vacío.');
+  }
+  if (!Number.isInteger(entry.stageReached) || entry.stageReached < 1) {
+    errors.push('"stageReached" debe ser un entero mayor o igual a 1.');
+  }
+  return errors;
+}
+
+/**
+ * Reads the stored scores
+ * @param {string} dataFile - JSON file path
+ * @returns {Promise<ScoreEntry[]>} Stored scores, empty when the file does not exist yet
+ * @throws {Error} If the file cannot be read or does not hold a list of scores, so it is never
+ *   overwritten by a write that would drop them
+ */
+async function readScores(dataFile) {
+  let raw;
+  try {
+    raw = await readFile(dataFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) throw new Error(`${dataFile} no contiene una lista de puntuaciones.`);
+  return parsed;
+}
+
+/**
+ * Sends a JSON response
+ * @param {import("node:http").ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {import("node:http").IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the body is too large or not valid JSON
+ */
+async function readJsonBody(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) throw new Error("El cuerpo es demasiado grande.");
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error("El cuerpo no es un JSON válido.");
+  }
+}
+
+/**
+ * Creates the leaderboard HTTP server (not listening yet)
+ * @param {Object} [options] - Server options
+ * @param {string} [options.dataFile] - JSON file where scores are kept
+ * @returns {import("node:http").Server} The server
+ */
+export function createLeaderboardServer({ dataFile = DEFAULT_DATA_FILE } = {}) {
+  // Writes are chained so two submissions at once cannot overwrite each other
+  let pendingWrite = Promise.resolve();
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return sendJson(res, 204);
+    if (url.pathname !== "/scores") return sendJson(res, 404, { error: "Ruta no encontrada." });
+
+    if (req.method === "GET") {
+      const campaign = url.searchParams.get("campaign");
+      const seed = url.searchParams.get("seed");
+      const rawLimit = url.searchParams.get("limit");
+      const limit = rawLimit === null ? DEFAULT_LIMIT : Number(rawLimit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return sendJson(res, 400, { error: "`limit` debe ser un entero positivo." });
+      }
+      let scores;
+      try {
+        scores = (await readScores(dataFile))
+          .filter((entry) => !campaign || entry.campaign === campaign)
+          .filter((entry) => !seed || entry.seed === seed)
+          .sort(
+            (a, b) =>
+              b.score - a.score ||
+              String(a.submittedAt ?? "").localeCompare(String(b.submittedAt ?? ""))
+          )
+          .slice(0, Math.min(limit, MAX_LIMIT));
+      } catch (error) {
+        console.error("Leaderboard: No se pudieron leer las puntuaciones.", error);
+        return sendJson(res, 500, { error: "No se pudieron leer las puntuaciones." });
+      }
+      return sendJson(res, 200, { scores });
+    }
+
+    if (req.method === "POST") {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      const errors = validateScoreEntry(body);
+      if (errors.length) return sendJson(res, 400, { error: errors.join(" ") });
+
+      const entry = {
+        name: body.name.trim(),
+        score: body.score,
+        campaign: body.campaign,
+        seed: body.seed,
+        stageReached: body.stageReached,
+        submittedAt: new Date().toISOString(),
+      };
+      pendingWrite = pendingWrite.then(async () => {
+        const scores = await readScores(dataFile);
+        await mkdir(dirname(dataFile), { recursive: true });
+        await writeFile(dataFile, JSON.stringify([...scores, entry], null, 2));
+      });
+      try {
+        await pendingWrite;
+      } catch (error) {
+        console.error("Leaderboard: No se pudo guardar la puntuación.", error);
+        pendingWrite = Promise.resolve();
+        return sendJson(res, 500, { error: "No se pudo guardar la puntuación." });
+      }
+      console.log("Leaderboard: Score saved", entry);
+      return sendJson(res, 201, { entry });
+    }
+
+    return sendJson(res, 405, { error: "Método no permitido." });
+  });
+}
+
+// Started directly with `node server/leaderboard-server.js`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const dataFile = process.env.LEADERBOARD_FILE || DEFAULT_DATA_FILE;
+  createLeaderboardServer({ dataFile }).listen(port, () => {
+    console.log(`Leaderboard server listening on http://localhost:${port} (${dataFile})`);
+  });
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { useAchievementsStore } from "../stores/achievements";
+
+describe("AchievementsStore", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+  });
+
+  it("unlocks achievements from store events and keeps them across runs", async () => {
+    const gameStore = useGameStore();
+    const achievements = useAchievementsStore();
+    achievements.trackGame(gameStore);
+    gameStore.animationSpeedMultiplier = 0;
+    gameStore.initializeGame({ seed: "LOGROS" });
+
+    gameStore.playerMoney = 250;
+    await gameStore.rollDice();
+
+    expect(achievements.unlocked.rich).toBeTruthy();
+    expect(achievements.toasts.map((toast) => toast.id)).toContain("rich");
+
+    setActivePinia(createPinia());
+    expect(useAchievementsStore().unlocked.rich).toBe(achievements.unlocked.rich);
+  });
+
+  it("counts the traps stepped on during a single lap", () => {
+    const gameStore = useGameStore();
+    const achievements = useAchievementsStore();
+    achievements.trackGame(gameStore);
+    gameStore.initializeGame({ seed: "TRAMPAS" });
+
+    for (let i = 0; i < 3; i++) {
+      const position = i + 1;
+      gameStore.boardSquares[position].currentEffectType = "temp_bad_lap";
+      gameStore.boardSquares[position].effectDetails = { penalty: 1 };
+      gameStore.playerPosition = position;
+      gameStore.gamePhase = "landed";
+      gameStore.handleSquareLanding();
+    }
+
+    expect(achievements.runProgress[0].trapsThisLap).toBe(3);
+    expect(achievements.unlocked.trap_magnet).toBeTruthy();
+    expect(achievements.unlocked.thrifty).toBeFalsy();
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { useAutopilotStore } from "../stores/autopilot";
+import { STRATEGIES, planStep } from "../utils/strategies";
+import { DICE_TYPES } from "../utils/diceRegistry";
+
+describe("Autopilot", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("plays for the user and explains every move until it is stopped", async () => {
+    const gameStore = useGameStore();
+    const autopilot = useAutopilotStore();
+    gameStore.headless = true;
+    gameStore.animationSpeedMultiplier = 0;
+    gameStore.initializeGame({ seed: "PILOTO" });
+
+    const moves = [];
+    gameStore.$onAction(({ name }) => moves.push(name));
+
+    expect(autopilot.strategyOptions.find(({ name }) => name === "fighter").label).toBe("Luchador");
+    autopilot.setStrategy("fighter");
+    autopilot.start(gameStore);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(moves[0]).toBe("rollDice");
+    expect(gameStore.lastDiceRoll).not.toBeNull();
+    expect(autopilot.reason).toContain("dado normal");
+
+    await vi.advanceTimersByTimeAsync(50);
+    const played = moves.length;
+    expect(played).toBeGreaterThan(1);
+
+    autopilot.stop();
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(moves).toHaveLength(played);
+    expect(autopilot.reason).toBe("");
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("plans bag dice and bribes with a reason", () => {
+    const gameStore = useGameStore();
+    gameStore.initializeGame({ seed: "PLAN" });
+    gameStore.boardSquares.forEach((square) => {
+      square.currentEffectType = "normal";
+    });
+    gameStore.boardSquares[3].currentEffectType = "normal_money";
+    gameStore.boardSquares[3].effectDetails = { amount: 5 };
+    gameStore.reservedDice = [{ type: DICE_TYPES.FIXED, value: 3 }];
+    gameStore.playerPosition = 0;
+
+    const move = planStep(gameStore, STRATEGIES.greedy);
+    expect(move).toMatchObject({ action: "rollDice", args: [0] });
+    expect(move.reason).toContain("+$5.0");
+    expect(planStep(gameStore, STRATEGIES.fighter).args).toEqual([-1]);
+
+    gameStore.gamePhase = "boss_encounter";
+    gameStore.currentBoss = { name: "El Recaudador", bribeCost: 50 };
+    gameStore.playerMoney = 1000;
+    const bribe = planStep(gameStore, STRATEGIES.briber);
+    expect(bribe.action).toBe("payToDefeatBoss");
+    expect(bribe.reason).toContain("El Recaudador");
+
+    gameStore.gamePhase = "game_won";
+    expect(() => planStep(gameStore, STRATEGIES.briber)).toThrow();
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { getSquareGridPosition } from "../utils/boardGeometry";
+import {
+  applyBoardLayout,
+  createBoardLayout,
+  resizeBoardLayout,
+  validateBoardLayout,
+  validateStageBoard,
+} from "../utils/boardLayouts";
+import { DEFAULT_CAMPAIGN, validateCampaign } from "../utils/campaigns";
+
+describe("boardLayouts", () => {
+  it("walks the perimeter down, right, up and left", () => {
+    expect(getSquareGridPosition(0, 4, 5)).toEqual({ r: 1, c: 1 });
+    expect(getSquareGridPosition(3, 4, 5)).toEqual({ r: 4, c: 1 });
+    expect(getSquareGridPosition(7, 4, 5)).toEqual({ r: 4, c: 5 });
+    expect(getSquareGridPosition(13, 4, 5)).toEqual({ r: 1, c: 2 });
+  });
+
+  it("keeps painted squares when the board is resized", () => {
+    const layout = createBoardLayout(4, 4);
+    expect(validateBoardLayout(layout)).toEqual([]);
+    expect(layout.squares.map((square) => square.id)).toEqual([1, 2, 4, 5, 7, 8, 10, 11]);
+
+    layout.squares[0] = { id: 1, effectType: "relic", effectDetails: null };
+    const resized = resizeBoardLayout(layout, 5, 4);
+    expect(resized.squares[0].effectType).toBe("relic");
+    expect(validateBoardLayout(resized)).toEqual([]);
+  });
+
+  it("rejects corners and effects without their value", () => {
+    const board = {
+      squares: [
+        { id: 0, effectType: "normal_money", effectDetails: { amount: 2 } },
+        { id: 1, effectType: "temp_bad_lap", effectDetails: null },
+      ],
+      randomLaps: [],
+    };
+    expect(validateStageBoard(board, 4, 4, "Etapa 1")).toEqual([
+      "Etapa 1: la casilla 0 no existe o es una esquina.",
+      'Etapa 1: casilla 1 necesita "penalty" entero mayor o igual a 1.',
+    ]);
+  });
+
+  it("turns a layout into a valid campaign played on that board", () => {
+    const layout = createBoardLayout(5, 7);
+    layout.lapsToComplete = 4;
+    const campaign = applyBoardLayout(DEFAULT_CAMPAIGN, layout);
+    expect(validateCampaign(campaign)).toEqual([]);
+    expect(campaign.stages).toHaveLength(DEFAULT_CAMPAIGN.stages.length);
+    expect(campaign.stages.every((stage) => stage.rows === 5 && stage.lapsToComplete === 4)).toBe(
+      true
+    );
+  });
+});
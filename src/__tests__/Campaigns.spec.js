@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_CAMPAIGN,
+  campaignToStageConfigs,
+  parseCampaign,
+  validateCampaign,
+} from "../utils/campaigns";
+
+describe("campaigns", () => {
+  it("ships a valid default campaign", () => {
+    expect(validateCampaign(DEFAULT_CAMPAIGN)).toEqual([]);
+    const stageConfigs = campaignToStageConfigs(DEFAULT_CAMPAIGN);
+    expect(stageConfigs[1].bossName).toBe("Recaudador de Impuestos");
+    expect(Object.keys(stageConfigs)).toHaveLength(DEFAULT_CAMPAIGN.stages.length);
+  });
+
+  it("explains what is wrong with a broken campaign", () => {
+    const broken = JSON.parse(JSON.stringify(DEFAULT_CAMPAIGN));
+    broken.id = "mi campaña";
+    broken.stages[1].rows = "nueve";
+    broken.stages[1].minBadSquares = 5;
+    delete broken.stages[2].bossDefeatCondition;
+    delete broken.stages[3].bossDefeatCondition.lockBelow;
+
+    const errors = validateCampaign(broken);
+    expect(errors).toContain('"id" debe ser un texto con letras, números, "-" o "_".');
+    expect(errors.some((error) => error.startsWith('Etapa 2: "rows"'))).toBe(true);
+    expect(errors).toContain('Etapa 2: "minBadSquares" no puede ser mayor que "maxBadSquares".');
+    expect(errors).toContain('Etapa 3: falta "bossDefeatCondition".');
+    const lockBelowError = 'Etapa 4, bossDefeatCondition: "lockBelow"';
+    expect(errors.some((error) => error.startsWith(lockBelowError))).toBe(true);
+  });
+
+  it("rejects text that is not JSON", () => {
+    expect(() => parseCampaign("{ etapas")).toThrow("El archivo no es un JSON válido.");
+  });
+});
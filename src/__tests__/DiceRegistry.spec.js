@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  DICE_TYPES,
+  describeDie,
+  getDieDefinition,
+  getPredictableResult,
+  registerDieType,
+  rollDie,
+} from "../utils/diceRegistry";
+
+describe("diceRegistry", () => {
+  it("rolls fixed dice without drawing a random number", () => {
+    let draws = 0;
+    const randomFloat = () => {
+      draws++;
+      return 0.5;
+    };
+    expect(rollDie({ type: DICE_TYPES.REVERSE_FIXED, value: 4 }, randomFloat)).toEqual({
+      value: 4,
+      direction: -1,
+    });
+    expect(draws).toBe(0);
+  });
+
+  it("maps random draws onto weighted faces", () => {
+    const highDie = { type: DICE_TYPES.WEIGHTED_HIGH };
+    // Weights 1,1,1,2,2,3 out of 10: the top 30% of draws land on a 6
+    expect(rollDie(highDie, () => 0.05).value).toBe(1);
+    expect(rollDie(highDie, () => 0.65).value).toBe(5);
+    expect(rollDie(highDie, () => 0.75).value).toBe(6);
+    expect(rollDie({ type: DICE_TYPES.NORMAL }, () => 0.99).value).toBe(6);
+  });
+
+  it("uses the face list carried by a loaded die", () => {
+    const loadedDie = { type: DICE_TYPES.LOADED, faces: [3, 3, 3] };
+    expect(rollDie(loadedDie, () => 0.9).value).toBe(3);
+    expect(getPredictableResult(loadedDie)).toBe(3);
+    expect(describeDie(loadedDie)).toBe("Cargado [3,3,3]");
+  });
+
+  it("accepts new die types and fills in the defaults", () => {
+    const definition = registerDieType({
+      type: "Test Coin",
+      faces: () => [
+        { value: 1, weight: 1 },
+        { value: 2, weight: 1 },
+      ],
+    });
+    expect(getDieDefinition("Test Coin")).toBe(definition);
+    expect(definition.direction).toBe(1);
+    expect(definition.bossDamage(2)).toBe(2);
+    expect(getPredictableResult({ type: "Test Coin" })).toBeNull();
+    expect(() => registerDieType({ type: "Broken" })).toThrow();
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { STAGE_CONFIGS, useGameStore } from "../stores/game";
+import { useHistoryStore } from "../stores/history";
+import {
+  ENDLESS_BOSS_MECHANICS,
+  generateEndlessStage,
+  getBestEndlessDepth,
+} from "../utils/endless";
+import { SNAPSHOT_VERSION, migrateSnapshot } from "../utils/saveGame";
+
+describe("Endless mode", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("generates ever harder stages from the seed, with bosses drawn from the campaign", () => {
+    const stages = Object.values(STAGE_CONFIGS);
+    const last = stages[stages.length - 1];
+    const first = generateEndlessStage(stages, stages.length + 1, "ECO");
+    const deeper = generateEndlessStage(stages, stages.length + 6, "ECO");
+
+    expect(generateEndlessStage(stages, stages.length + 1, "ECO")).toEqual(first);
+    expect(first.bossDefeatCondition.hp).toBeGreaterThan(last.bossDefeatCondition.hp);
+    expect(deeper.bossDefeatCondition.hp).toBeGreaterThan(first.bossDefeatCondition.hp);
+    expect(deeper.bossDefeatCondition.bribeCost).toBeGreaterThan(
+      first.bossDefeatCondition.bribeCost
+    );
+    expect(deeper.maxBadSquares).toBeGreaterThan(first.maxBadSquares);
+    expect(deeper.rows * deeper.cols).toBeGreaterThan(last.rows * last.cols);
+    [first, deeper].forEach((stage) => {
+      expect(stages.map((campaignStage) => campaignStage.bossImage)).toContain(stage.bossImage);
+      expect(Object.keys(ENDLESS_BOSS_MECHANICS)).toContain(stage.bossMechanic);
+      expect(stage.board).toBeUndefined();
+    });
+  });
+
+  it("keeps playing past the last campaign stage", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "INFINITO", endless: true });
+    store.headless = true;
+    store.playerStage = store.campaign.stages.length;
+
+    store.advanceStage();
+
+    expect(store.isGameOver).toBe(false);
+    expect(store.maxStages).toBe(Infinity);
+    expect(store.playerStage).toBe(store.campaign.stages.length + 1);
+    expect(store.currentStageConfig.bossName).toBe(store.stageConfigs[store.playerStage].bossName);
+    expect(store.events.map((event) => event.key)).toContain("endless.campaignBeaten");
+    expect(store.toSnapshot().state.endless).toBe(true);
+
+    const old = { version: 10, seed: "VIEJA", state: { playerStage: 2, stake: 0 } };
+    const migrated = migrateSnapshot(old);
+    expect(migrated.version).toBe(SNAPSHOT_VERSION);
+    expect(migrated.state.endless).toBe(false);
+  });
+
+  it("still ends campaign runs after the last stage", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "CAMPAÑA" });
+    store.headless = true;
+    store.playerStage = store.campaign.stages.length;
+
+    store.advanceStage();
+
+    expect(store.isGameOver).toBe(true);
+    expect(store.gamePhase).toBe("game_won");
+  });
+
+  it("records the deepest stage reached by endless runs", () => {
+    const history = useHistoryStore();
+    history.finishRun({ seed: "A", endless: true, stageReached: 9, won: false, bosses: [] });
+    history.finishRun({ seed: "B", endless: true, stageReached: 7, won: false, bosses: [] });
+    history.finishRun({ seed: "C", endless: false, stageReached: 12, won: false, bosses: [] });
+    expect(getBestEndlessDepth()).toBe(9);
+  });
+});
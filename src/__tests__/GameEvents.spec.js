@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { MAX_GAME_EVENTS, describeEvent, matchesEventCategory } from "../utils/gameEvents";
+import { SNAPSHOT_VERSION, isValidSnapshot, migrateSnapshot } from "../utils/saveGame";
+import { t } from "../utils/i18n";
+
+describe("Game events", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Starts a run on a board without effects, ready to move instantly
+   * @returns {ReturnType<typeof useGameStore>} Game store
+   */
+  function startPlainRun() {
+    const store = useGameStore();
+    store.initializeGame({ seed: "EVENTOS" });
+    store.headless = true;
+    store.animationSpeedMultiplier = 0;
+    store.boardSquares.forEach((square) => {
+      square.currentEffectType = "none";
+      square.effectDetails = null;
+    });
+    return store;
+  }
+
+  it("logs the money earned on every square passed and sums it in the banner", async () => {
+    const store = startPlainRun();
+    [1, 2, 3].forEach((id) => {
+      store.boardSquares[id].currentEffectType = "normal_money";
+      store.boardSquares[id].effectDetails = { amount: 2 };
+    });
+
+    await store.movePlayer(3);
+
+    const moneyEvents = store.events.filter((event) => event.type === "money");
+    expect(moneyEvents.map((event) => event.params.square)).toEqual([1, 2, 3]);
+    expect(moneyEvents.every((event) => event.money === 2 && event.quiet)).toBe(true);
+    expect(store.playerMoney).toBe(6);
+    expect(store.gameMessage).toContain(t("game.earnedThisTurn", { amount: 6 }));
+    expect(store.gameMessage).not.toContain(describeEvent(moneyEvents[0]));
+  });
+
+  it("keeps the trap, the money and the health lost as typed events", async () => {
+    const store = startPlainRun();
+    store.playerMoney = 20;
+    store.boardSquares[1].currentEffectType = "temp_bad_lap";
+    store.boardSquares[1].effectDetails = { penalty: 10 };
+
+    await store.movePlayer(1);
+
+    const trap = store.events.find((event) => event.type === "trap");
+    const hurt = store.events.find((event) => event.type === "health");
+    expect(trap).toMatchObject({ money: -10, player: 0, stage: 1, lap: 1 });
+    expect(hurt.hp).toBeLessThan(0);
+    expect(store.gameMessage).toContain(describeEvent(trap));
+    expect(store.gameMessage).toContain(describeEvent(hurt));
+    expect(matchesEventCategory(trap, "money")).toBe(true);
+    expect(matchesEventCategory(trap, "dice")).toBe(false);
+  });
+
+  it("files the damage dealt to the boss under the boss filter", async () => {
+    const store = startPlainRun();
+    await store.handleBossEncounter();
+    store.applyBossDamage(4);
+
+    const damage = store.events.find((event) => event.type === "boss_damage");
+    expect(damage).toMatchObject({ damage: 4, quiet: true });
+    expect(matchesEventCategory(damage, "boss")).toBe(true);
+    expect(matchesEventCategory(damage, "board")).toBe(false);
+  });
+
+  it("starts a new banner on announcements and keeps only the latest events", () => {
+    const store = startPlainRun();
+    store.logEvent("info", "game.landed", { square: 4 });
+    store.announce("info", "shop.left");
+    expect(store.gameMessage).toBe(t("shop.left"));
+
+    for (let i = 0; i < MAX_GAME_EVENTS; i++) {
+      store.logEvent("info", "game.landed", { square: i });
+    }
+    expect(store.events).toHaveLength(MAX_GAME_EVENTS);
+    expect(store.events[0].params.square).toBe(0);
+    expect(store.events[MAX_GAME_EVENTS - 1].id).toBeGreaterThan(MAX_GAME_EVENTS);
+  });
+
+  it("turns the message of older saves into the first event", () => {
+    const store = startPlainRun();
+    const { events, bannerStartId, ...state } = store.toSnapshot().state;
+    expect(events.length).toBeGreaterThan(0);
+    expect(bannerStartId).toBeGreaterThan(0);
+
+    const migrated = migrateSnapshot({
+      version: 7,
+      savedAt: new Date().toISOString(),
+      state: { ...state, gameMessage: "¡Lanza el dado!" },
+    });
+    expect(migrated.version).toBe(SNAPSHOT_VERSION);
+    expect(isValidSnapshot(migrated)).toBe(true);
+
+    store.restoreSnapshot(migrated);
+    expect(store.events).toHaveLength(1);
+    expect(store.gameMessage).toBe("¡Lanza el dado!");
+  });
+});
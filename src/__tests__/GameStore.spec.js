@@ -1,6 +1,8 @@
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, vi } from "vitest";
 import { setActivePinia, createPinia } from "pinia";
 import { useGameStore } from "../stores/game";
+import { DEFAULT_CAMPAIGN } from "../utils/campaigns";
+import { applyBoardLayout, createBoardLayout, resizeBoardLayout } from "../utils/boardLayouts";
 
 describe("GameStore", () => {
   beforeEach(() => {
@@ -41,4 +43,302 @@ describe("GameStore", () => {
 
     expect(store.reservedDice).toHaveLength(store.maxDiceInBag);
   });
+
+  it("generates the same board for the same seed", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "ABC123" });
+    const firstBoard = JSON.stringify(store.boardSquares);
+
+    setActivePinia(createPinia());
+    const otherStore = useGameStore();
+    otherStore.initializeGame({ seed: "ABC123" });
+
+    expect(otherStore.seed).toBe("ABC123");
+    expect(JSON.stringify(otherStore.boardSquares)).toBe(firstBoard);
+  });
+
+  it("generates a seed when none is given", () => {
+    const store = useGameStore();
+    store.initializeGame();
+    expect(store.seed).toMatch(/^[0-9A-Z]{8}$/);
+  });
+
+  it("restores a run waiting on a choice from its snapshot", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "SAVE1" });
+    store.playerMoney = 42;
+    store.gamePhase = "awaiting_choice";
+    store.choiceDetails = { type: "pick_a_die", message: "Choose a die", options: [] };
+    const snapshot = store.toSnapshot();
+
+    setActivePinia(createPinia());
+    const resumed = useGameStore();
+    expect(resumed.restoreSnapshot(snapshot)).toBe(true);
+    expect(resumed.playerMoney).toBe(42);
+    expect(resumed.gamePhase).toBe("awaiting_choice");
+    expect(resumed.choiceDetails.type).toBe("pick_a_die");
+    expect(resumed.boardSquares).toEqual(store.boardSquares);
+  });
+
+  it("rejects snapshots from another format version", () => {
+    const store = useGameStore();
+    store.initializeGame();
+    const snapshot = { ...store.toSnapshot(), version: 0 };
+    expect(store.restoreSnapshot(snapshot)).toBe(false);
+  });
+
+  it("passes the turn between hot-seat players with their own state", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "HOTSEAT", playerNames: ["Ana", "Beto"] });
+    expect(store.players).toHaveLength(2);
+    expect(store.activePlayer.name).toBe("Ana");
+
+    store.playerMoney = 25;
+    store.playerPosition = 4;
+    store.endTurn();
+
+    expect(store.activePlayer.name).toBe("Beto");
+    expect(store.playerMoney).toBe(0);
+    expect(store.playerPosition).toBe(0);
+    expect(store.players[0].playerMoney).toBe(25);
+    expect(store.playerSummaries[0].playerPosition).toBe(4);
+
+    store.endTurn();
+    expect(store.activePlayer.name).toBe("Ana");
+    expect(store.playerMoney).toBe(25);
+  });
+
+  it("skips players who are out of the current stage", () => {
+    const store = useGameStore();
+    store.initializeGame({ playerNames: ["Ana", "Beto", "Caro"] });
+    store.players[1].status = "eliminated";
+    store.endTurn();
+    expect(store.activePlayer.name).toBe("Caro");
+  });
+
+  it("lets the player buy, sell and leave the merchant shop", async () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "SHOP" });
+    store.animationSpeedMultiplier = 0;
+    store.playerMoney = 100;
+    store.openShop();
+    expect(store.gamePhase).toBe("awaiting_choice");
+    expect(store.choiceDetails.type).toBe("shop");
+
+    const buyOption = store.choiceDetails.options.find((o) => o.action === "buy_die");
+    await store.playerMakesChoice(buyOption);
+    expect(store.playerMoney).toBe(100 - buyOption.value.price);
+    expect(store.reservedDice).toHaveLength(1);
+    expect(store.choiceDetails.stock).toHaveLength(2);
+
+    await store.playerMakesChoice({ action: "open_sell_menu" });
+    const sellOption = store.choiceDetails.options.find((o) => o.action === "sell_die");
+    await store.playerMakesChoice(sellOption);
+    expect(store.reservedDice).toHaveLength(0);
+    expect(store.choiceDetails.type).toBe("shop");
+
+    await store.playerMakesChoice({ action: "leave_shop" });
+    expect(store.gamePhase).toBe("rolling");
+    expect(store.choiceDetails).toBeNull();
+  });
+
+  it("scales shop prices with the stage", () => {
+    const store = useGameStore();
+    const die = { type: "20" };
+    const stageOnePrice = store.getShopPrice(die);
+    store.playerStage = 3;
+    store.currentStageConfig = { ...store.currentStageConfig, moneyMultiplier: 1.75 };
+    expect(store.getShopPrice(die)).toBeGreaterThan(stageOnePrice);
+  });
+
+  it("keeps a jailed player for at most three turns unless they pay the bail", async () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "JAIL" });
+    store.animationSpeedMultiplier = 0;
+    store.jailTurnsRemaining = 3;
+    store.gamePhase = "jailed";
+
+    for (let attempt = 0; attempt < 3 && store.gamePhase === "jailed"; attempt++) {
+      await store.rollDice();
+    }
+    expect(store.gamePhase).toBe("rolling");
+    expect(store.jailTurnsRemaining).toBe(0);
+
+    store.jailTurnsRemaining = 3;
+    store.gamePhase = "jailed";
+    store.playerMoney = store.jailBailCost;
+    store.payBail();
+    expect(store.playerMoney).toBe(0);
+    expect(store.gamePhase).toBe("rolling");
+  });
+
+  it("lets the Warden lock dice from the bag until the fight ends", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "WARDEN" });
+    store.reservedDice = [
+      { type: "Fixed", value: 6 },
+      { type: "20", value: null },
+    ];
+    store.currentBoss = { name: "El Alcaide", mechanic: "jail", lockBelow: 4 };
+
+    store.applyBossMechanic(5);
+    expect(store.usableReservedDiceCount).toBe(2);
+    store.applyBossMechanic(1);
+    expect(store.usableReservedDiceCount).toBe(1);
+
+    store.releaseLockedDice();
+    expect(store.reservedDice.some((die) => die.locked)).toBe(false);
+  });
+
+  it("applies the rule of each boss to the throws", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "BOSSES" });
+
+    store.currentBoss = { name: "Comandante Orco", mechanic: "armor", armor: 3 };
+    expect(store.applyBossDefense(2, { type: "Random" })).toBe(0);
+    expect(store.applyBossDefense(3, { type: "Random" })).toBe(3);
+
+    store.currentBoss = { name: "Gato Dios Oscuro", mechanic: "reroll", rerollAtLeast: 6 };
+    expect(store.applyBossDefense(6, { type: "Fixed", value: 2 })).toBe(2);
+
+    store.playerMoney = 4;
+    store.currentBoss = { name: "Recaudador de Impuestos", mechanic: "tax", taxPerThrow: 3 };
+    store.applyBossMechanic(5);
+    store.applyBossMechanic(5);
+    expect(store.playerMoney).toBe(0);
+
+    store.playerMoney = 20;
+    store.currentBoss = { name: "Dragón Tesorero", mechanic: "heal", healPerThrow: 5 };
+    store.currentBossMaxHP = 50;
+    store.currentBossHP = 48;
+    store.applyBossMechanic(2);
+    expect(store.currentBossHP).toBe(50);
+    expect(store.playerMoney).toBe(18);
+
+    store.reservedDice = [{ type: "Random" }, { type: "20" }];
+    store.currentBoss = { name: "Goblin Codicioso", mechanic: "steal", stealPercent: 100 };
+    store.applyBossMechanic(1);
+    expect(store.reservedDice).toHaveLength(1);
+  });
+
+  it("wins the run right away when the last relic is found", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "RELICS" });
+    store.relics = ["anvil", "royal_seal", "master_key"];
+
+    store.collectRelic();
+
+    expect(store.relics).toContain("golden_idol");
+    expect(store.isGameOver).toBe(true);
+    expect(store.gamePhase).toBe("game_won");
+    expect(store.gameOverCause).toBe("relics");
+  });
+
+  it("applies the passive bonus of owned relics", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "SEAL" });
+    store.currentBoss = { name: "Jefe", bribeCost: 80 };
+    expect(store.bossBribeCost).toBe(80);
+
+    store.relics = ["royal_seal", "master_key"];
+    expect(store.bossBribeCost).toBe(60);
+    expect(store.jailEscapeRoll).toBe(4);
+  });
+
+  it("counts timed boosts down on every completed lap", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "BOOST" });
+    const baseCapacity = store.diceBagCapacity;
+
+    store.grantBoost("bigger_bag");
+    store.grantBoost("dice_plus_one");
+    expect(store.diceBagCapacity).toBe(baseCapacity + 2);
+    expect(store.applyRollBonuses(3, "Random")).toBe(4);
+
+    store.tickBoosts();
+    expect(store.activeBoosts.map((boost) => boost.id)).toEqual(["bigger_bag"]);
+    store.tickBoosts();
+    store.tickBoosts();
+    expect(store.activeBoosts).toHaveLength(0);
+    expect(store.diceBagCapacity).toBe(baseCapacity);
+  });
+
+  it("plays the stages of the campaign it was started with", () => {
+    const store = useGameStore();
+    const campaign = {
+      id: "corta",
+      name: "Corta",
+      stages: [{ ...store.stageConfigs[2], rows: 5, cols: 7 }],
+    };
+    store.initializeGame({ seed: "CAMPAIGN", campaign });
+
+    expect(store.maxStages).toBe(1);
+    expect(store.boardRows).toBe(5);
+    expect(store.boardCols).toBe(7);
+    expect(store.toSnapshot().state.campaign.id).toBe("corta");
+  });
+
+  it("plays a hand-designed board on fixed laps and random effects on the others", () => {
+    const store = useGameStore();
+    const layout = resizeBoardLayout(createBoardLayout(), 4, 4);
+    layout.squares = layout.squares.map((square) => ({
+      ...square,
+      effectType: "temp_bad_lap",
+      effectDetails: { penalty: 7 },
+    }));
+    layout.randomLaps = [2];
+    store.initializeGame({ seed: "EDITOR", campaign: applyBoardLayout(DEFAULT_CAMPAIGN, layout) });
+
+    const designed = store.boardSquares.filter((square) => square.baseType === "normal");
+    expect(store.boardSquares).toHaveLength(12);
+    expect(designed.every((square) => square.isTempBad)).toBe(true);
+    expect(designed[0].effectDetails).toEqual({ penalty: 7 });
+
+    store.playerLap = 2;
+    store.setupLapEffects();
+    expect(designed.some((square) => square.currentEffectType !== "temp_bad_lap")).toBe(true);
+  });
+
+  it("previews the landing squares of random and fixed dice", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "PREVIEW" });
+
+    store.highlightSquareForDie({ type: "Random" });
+    expect(Object.keys(store.movePreview.landingChances)).toHaveLength(6);
+    expect(store.highlightedTargetSquare).toBeNull();
+
+    store.highlightSquareForDie({ type: "Fixed", value: 3 });
+    expect(store.movePreview.landingChances).toEqual({ 3: 1 });
+    expect(store.movePreview.pathSquareIds).toEqual([1, 2, 3]);
+    expect(store.highlightedTargetSquare).toBe(3);
+
+    store.clearHighlightedSquare();
+    expect(store.movePreview).toBeNull();
+  });
+
+  it("loses health to boss counter-attacks and ends the run at 0 HP", async () => {
+    vi.useFakeTimers();
+    const store = useGameStore();
+    store.initializeGame({ seed: "HEALTH" });
+    store.currentBoss = { name: "Recaudador de Impuestos", attack: 4 };
+
+    const startingHP = store.playerHP;
+    store.bossCounterAttack();
+    expect(store.playerHP).toBeLessThan(startingHP);
+    expect(store.playerHP).toBeGreaterThanOrEqual(startingHP - 4);
+
+    store.healPlayer(100);
+    expect(store.playerHP).toBe(startingHP);
+
+    store.damagePlayer(startingHP + 5);
+    expect(store.playerHP).toBe(0);
+    const dying = store.playerDies();
+    await vi.runAllTimersAsync();
+    await dying;
+    vi.useRealTimers();
+
+    expect(store.isGameOver).toBe(true);
+    expect(store.gamePhase).toBe("game_lost");
+    expect(store.gameOverCause).toBe("player_died");
+  });
 });
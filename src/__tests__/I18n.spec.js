@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { DEFAULT_CAMPAIGN, campaignToStageConfigs } from "../utils/campaigns";
+import { RELICS } from "../utils/relics";
+import {
+  LOCALES,
+  currentLocale,
+  findMissingKeys,
+  findUsedKeys,
+  setLocale,
+  t,
+} from "../utils/i18n";
+
+describe("i18n", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setLocale("es");
+    vi.restoreAllMocks();
+  });
+
+  it("ships locales with the same keys and placeholders", () => {
+    const messages = { es: LOCALES.es.messages, en: LOCALES.en.messages };
+    expect(findMissingKeys(messages)).toEqual({
+      es: { missing: [], placeholders: [] },
+      en: { missing: [], placeholders: [] },
+    });
+
+    const broken = findMissingKeys(
+      { es: { a: { b: "Hola {name}" } }, en: { a: { b: "Hi {nombre}" }, c: "Extra" } },
+      findUsedKeys('t("a.b"); t("d.e", { x: 1 });')
+    );
+    expect(broken.es).toEqual({ missing: ["c", "d.e"], placeholders: ["a.b"] });
+    expect(broken.en.missing).toEqual(["d.e"]);
+  });
+
+  it("finds the message keys of logged and announced game events", () => {
+    const source = `
+      this.logEvent("money", "squares.money", { amount });
+      this.announce(
+        won ? "boss_defeated" : "boss_failed",
+        "boss.result",
+        {}
+      );
+      this.logEvent(type, key);
+    `;
+    expect(findUsedKeys(source)).toEqual(["squares.money", "boss.result"]);
+  });
+
+  it("fills placeholders and falls back to the key", () => {
+    expect(t("game.stageBegins", { stage: 3 })).toBe("¡Comienza la etapa 3!");
+    expect(t("no.such.key")).toBe("no.such.key");
+    expect(console.warn).toHaveBeenCalledWith("i18n: Falta la clave", "no.such.key");
+  });
+
+  it("switches the language and remembers the choice", () => {
+    expect(setLocale("fr")).toBe(false);
+    expect(setLocale("en")).toBe(true);
+    expect(currentLocale.value).toBe("en");
+    expect(localStorage.getItem("dice-or-die:locale")).toBe("en");
+    expect(document.documentElement.lang).toBe("en");
+
+    expect(RELICS[0].name).toBe(t(`relics.${RELICS[0].id}.name`));
+    expect(campaignToStageConfigs(DEFAULT_CAMPAIGN)[1].bossName).toBe("Tax Collector");
+  });
+
+  it("plays the run in English", () => {
+    setLocale("en");
+    const gameStore = useGameStore();
+    gameStore.initializeGame({ seed: "IDIOMA" });
+    expect(gameStore.gameMessage).toContain("Roll the die");
+    expect(gameStore.activePlayer.name).toBe("The Knight");
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { useInputStore } from "../stores/input";
+import { DICE_TYPES } from "../utils/diceRegistry";
+import { DEFAULT_BINDINGS, findBoundActions, loadBindings } from "../utils/inputBindings";
+
+/**
+ * Starts a run on a board without effects, played by the input store
+ * @returns {{game: ReturnType<typeof useGameStore>, input: ReturnType<typeof useInputStore>}}
+ */
+function startRun() {
+  const game = useGameStore();
+  game.initializeGame({ seed: "TECLADO" });
+  game.headless = true;
+  game.animationSpeedMultiplier = 0;
+  game.boardSquares.forEach((square) => {
+    square.currentEffectType = "none";
+    square.effectDetails = null;
+  });
+  const input = useInputStore();
+  input.trackGame(game);
+  return { game, input };
+}
+
+/**
+ * Builds a key press on the page body
+ * @param {string} code - `KeyboardEvent.code`
+ * @returns {KeyboardEvent} Key press
+ */
+function keydown(code) {
+  return new KeyboardEvent("keydown", { code, bubbles: true, cancelable: true });
+}
+
+describe("Input actions", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    useInputStore().untrackGame();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("maps keys and gamepad buttons to actions", () => {
+    const bindings = loadBindings();
+    expect(bindings).toEqual(
+      expect.objectContaining({ keyboard: expect.objectContaining(DEFAULT_BINDINGS.keyboard) })
+    );
+    expect(findBoundActions(bindings, "keyboard", "Digit2").map(({ id }) => id)).toEqual([
+      "useDie2",
+      "pickChoice2",
+    ]);
+    expect(findBoundActions(bindings, "gamepad", 0).map(({ id }) => id)).toEqual(["roll"]);
+  });
+
+  it("rolls with the keyboard and only while the run waits for a roll", () => {
+    const { game } = startRun();
+    const rollDice = vi.spyOn(game, "rollDice").mockImplementation(() => {});
+
+    const event = keydown("Space");
+    window.dispatchEvent(event);
+    expect(rollDice).toHaveBeenCalledWith();
+    expect(event.defaultPrevented).toBe(true);
+
+    rollDice.mockClear();
+    game.isAnimating = true;
+    window.dispatchEvent(keydown("KeyR"));
+    expect(rollDice).not.toHaveBeenCalled();
+  });
+
+  it("cycles through the bag and rolls the picked die", () => {
+    const { game, input } = startRun();
+    game.reservedDice = [
+      { type: DICE_TYPES.FIXED, value: 2 },
+      { type: DICE_TYPES.FIXED, value: 3 },
+    ];
+    const rollDice = vi.spyOn(game, "rollDice").mockImplementation(() => {});
+
+    expect(input.perform("cycleDice")).toBe(true);
+    expect(input.perform("cycleDice")).toBe(true);
+    expect(input.selectedDie).toBe(1);
+    expect(input.perform("roll")).toBe(true);
+    expect(rollDice).toHaveBeenCalledWith(1);
+    expect(input.selectedDie).toBeNull();
+
+    input.perform("cycleDice");
+    input.perform("cycleDice");
+    input.perform("cycleDice");
+    expect(input.selectedDie).toBeNull();
+  });
+
+  it("drops the picked die when the bag changes or the turn passes", () => {
+    const { game, input } = startRun();
+    game.reservedDice = [
+      { type: DICE_TYPES.FIXED, value: 2 },
+      { type: DICE_TYPES.FIXED, value: 3 },
+    ];
+    const rollDice = vi.spyOn(game, "rollDice").mockImplementation(() => {});
+
+    input.perform("cycleDice");
+    input.perform("cycleDice");
+    game.reservedDice.splice(0, 1);
+    expect(input.selectedDie).toBeNull();
+    expect(game.movePreview).toBeNull();
+
+    input.perform("cycleDice");
+    game.currentPlayerIndex = 1;
+    expect(input.selectedDie).toBeNull();
+    expect(input.perform("roll")).toBe(true);
+    expect(rollDice).toHaveBeenCalledWith();
+
+    input.perform("cycleDice");
+    expect(input.rollNormalDie()).toBe(true);
+    expect(input.selectedDie).toBeNull();
+  });
+
+  it("picks choices, bribes and plays gamepad presses once per press", () => {
+    const { game, input } = startRun();
+    const option = { action: "get_money_bonus", value: 5 };
+    game.gamePhase = "awaiting_choice";
+    game.choiceDetails = { options: [{ action: "skip", disabled: true }, option] };
+    const playerMakesChoice = vi.spyOn(game, "playerMakesChoice").mockImplementation(() => {});
+    const payToDefeatBoss = vi.spyOn(game, "payToDefeatBoss").mockImplementation(() => {});
+
+    window.dispatchEvent(keydown("Digit1"));
+    expect(playerMakesChoice).not.toHaveBeenCalled();
+
+    // D-pad up, held over two polls
+    const gamepad = { index: 0, buttons: Array.from({ length: 16 }, () => ({ pressed: false })) };
+    gamepad.buttons[12].pressed = true;
+    vi.stubGlobal("navigator", { getGamepads: () => [gamepad] });
+    vi.stubGlobal("requestAnimationFrame", () => 1);
+    vi.stubGlobal("cancelAnimationFrame", () => {});
+    input.pollGamepads();
+    input.pollGamepads();
+    expect(input.gamepadConnected).toBe(true);
+    expect(playerMakesChoice).toHaveBeenCalledTimes(1);
+    expect(playerMakesChoice).toHaveBeenCalledWith(option);
+    expect(input.hintFor("toggleSpeed")).toBe("Y");
+
+    game.gamePhase = "boss_encounter";
+    expect(input.perform("bribe")).toBe(true);
+    expect(payToDefeatBoss).toHaveBeenCalledTimes(1);
+  });
+
+  it("saves new bindings and ignores keys typed in text fields", () => {
+    const { game, input } = startRun();
+    const rollDice = vi.spyOn(game, "rollDice").mockImplementation(() => {});
+
+    input.captureBinding("keyboard", "roll");
+    window.dispatchEvent(keydown("KeyT"));
+    expect(input.capturing).toBeNull();
+    expect(loadBindings().keyboard.roll).toEqual(["KeyT"]);
+    expect(input.hintFor("roll")).toBe("T");
+
+    const field = document.createElement("input");
+    document.body.appendChild(field);
+    field.dispatchEvent(keydown("KeyT"));
+    expect(rollDice).not.toHaveBeenCalled();
+    field.remove();
+
+    input.resetBindings();
+    expect(input.bindings.keyboard.roll).toEqual(DEFAULT_BINDINGS.keyboard.roll);
+  });
+});
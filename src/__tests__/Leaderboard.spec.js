@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createLeaderboardServer } from "../../server/leaderboard-server";
+import { submitScore, flushQueuedScores, loadQueuedScores } from "../utils/leaderboard";
+import { computeScore } from "../utils/score";
+
+const SUBMISSION = { name: "Ana", score: 3200, campaign: "classic", seed: "ABC", stageReached: 3 };
+
+describe("Leaderboard", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("rewards stages and perfect defeats and penalizes bribes", () => {
+    const fighter = { stageReached: 3, playerMoney: 50, perfectBossDefeats: 1, bribesBosses: 0 };
+    const briber = { ...fighter, perfectBossDefeats: 0, bribesBosses: 2 };
+
+    expect(computeScore(fighter)).toBeGreaterThan(computeScore(briber));
+    expect(computeScore({ ...briber, stageReached: 0, playerMoney: -20 })).toBe(0);
+  });
+
+  it("queues scores while the server is unreachable and sends them later", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("Failed to fetch")));
+    expect(await submitScore(SUBMISSION)).toBe("queued");
+    expect(loadQueuedScores()).toEqual([SUBMISSION]);
+
+    const online = vi.fn().mockResolvedValue(new Response("{}", { status: 201 }));
+    vi.stubGlobal("fetch", online);
+    expect(await flushQueuedScores()).toBe(1);
+    expect(loadQueuedScores()).toEqual([]);
+    expect(JSON.parse(online.mock.calls[0][1].body)).toEqual(SUBMISSION);
+  });
+
+  it("stores scores in a file and lists the best ones per campaign and seed", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "leaderboard-"));
+    const server = createLeaderboardServer({ dataFile: join(dir, "scores.json") });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/scores`;
+    const post = (body) =>
+      fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+    try {
+      expect((await post(SUBMISSION)).status).toBe(201);
+      expect((await post({ ...SUBMISSION, name: "Beto", score: 4100 })).status).toBe(201);
+      expect((await post({ ...SUBMISSION, seed: "OTRA", score: 9999 })).status).toBe(201);
+      expect((await post({ ...SUBMISSION, score: -5 })).status).toBe(400);
+
+      const { scores } = await (await fetch(`${url}?campaign=classic&seed=ABC`)).json();
+      expect(scores.map((entry) => entry.name)).toEqual(["Beto", "Ana"]);
+
+      const top = await (await fetch(`${url}?seed=ABC&limit=1`)).json();
+      expect(top.scores.map((entry) => entry.name)).toEqual(["Beto"]);
+      expect((await fetch(`${url}?limit=-5`)).status).toBe(400);
+      expect((await fetch(`${url}?limit=2.5`)).status).toBe(400);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps a scores file it cannot read and lists entries without a date", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    const dir = await mkdtemp(join(tmpdir(), "leaderboard-"));
+    const dataFile = join(dir, "scores.json");
+    const server = createLeaderboardServer({ dataFile });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/scores`;
+
+    try {
+      await writeFile(dataFile, "{ roto");
+      const posted = await fetch(url, { method: "POST", body: JSON.stringify(SUBMISSION) });
+      expect(posted.status).toBe(500);
+      expect((await fetch(url)).status).toBe(500);
+      expect(await readFile(dataFile, "utf8")).toBe("{ roto");
+
+      const legacy = { name: "Vieja", score: 3200, campaign: "classic", seed: "ABC" };
+      await writeFile(dataFile, JSON.stringify([legacy, { ...SUBMISSION, submittedAt: "2025" }]));
+      const { scores } = await (await fetch(url)).json();
+      expect(scores.map((entry) => entry.name)).toEqual(["Vieja", "Ana"]);
+    } finally {
+      error.mockRestore();
+      await new Promise((resolve) => server.close(resolve));
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
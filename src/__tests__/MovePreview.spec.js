@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { previewMove } from "../utils/movePreview";
+import { createPerimeterSquares } from "../utils/boardGeometry";
+
+/** 3x3 board: start 0, corners 2, 4 and 6, plain squares 1, 3, 5 and 7 */
+function buildBoard() {
+  const squares = createPerimeterSquares(3, 3);
+  squares[1].currentEffectType = "normal_money";
+  squares[1].effectDetails = { amount: 2 };
+  squares[3].currentEffectType = "temp_bad_lap";
+  squares[3].effectDetails = { penalty: 10 };
+  squares[5].currentEffectType = "huge_money";
+  squares[5].effectDetails = { amount: 30 };
+  return squares;
+}
+
+const baseOptions = {
+  start: 0,
+  lap: 1,
+  lapsToComplete: 3,
+  passMoney: (square) => square.effectDetails.amount,
+};
+
+describe("movePreview", () => {
+  it("spreads the landing chances of a random die and outlines its path", () => {
+    const preview = previewMove({
+      ...baseOptions,
+      squares: buildBoard(),
+      outcomes: [1, 2, 3, 4].map((steps) => ({ steps, chance: 0.25 })),
+    });
+    expect(preview.landingChances).toEqual({ 1: 0.25, 2: 0.25, 3: 0.25, 4: 0.25 });
+    expect(preview.pathSquareIds).toEqual([1, 2, 3, 4]);
+    expect(preview.trapChance).toBe(0.25);
+    // Every move walks over the $2 square; the trap takes $10 a quarter of the time
+    expect(preview.expectedMoney).toBeCloseTo(2 - 2.5);
+  });
+
+  it("stops on the start square and flags the boss lap", () => {
+    const preview = previewMove({
+      ...baseOptions,
+      squares: buildBoard(),
+      start: 6,
+      lap: 2,
+      outcomes: [{ steps: 5, chance: 1 }],
+    });
+    expect(preview.landingChances).toEqual({ 0: 1 });
+    expect(preview.pathSquareIds).toEqual([0, 7]);
+    expect(preview.lapChance).toBe(1);
+    expect(preview.bossChance).toBe(1);
+  });
+
+  it("walks backward without collecting coins", () => {
+    const preview = previewMove({
+      ...baseOptions,
+      squares: buildBoard(),
+      start: 2,
+      outcomes: [{ steps: -3, chance: 1 }],
+    });
+    expect(preview.landingChances).toEqual({ 7: 1 });
+    expect(preview.pathSquareIds).toEqual([0, 1, 7]);
+    expect(preview.expectedMoney).toBe(0);
+    expect(preview.lapChance).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { getEnabledPlugins, registerPlugin, setPluginEnabled } from "../utils/plugins";
+import "../plugins";
+
+/**
+ * Starts a run with plugins on a board without effects, ready to move instantly
+ * @param {string[]} plugins - Ids of the plugins of the run
+ * @returns {ReturnType<typeof useGameStore>} Game store
+ */
+function startRun(plugins) {
+  const store = useGameStore();
+  store.initializeGame({ seed: "PLUGINS", plugins });
+  store.headless = true;
+  store.animationSpeedMultiplier = 0;
+  store.boardSquares.forEach((square) => {
+    square.currentEffectType = "none";
+    square.effectDetails = null;
+  });
+  return store;
+}
+
+describe("Plugins", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("rejects plugins without an id or with unknown hooks", () => {
+    expect(() => registerPlugin({ hooks: {} })).toThrow();
+    expect(() => registerPlugin({ id: "broken", hooks: { onJump() {} } })).toThrow("onJump");
+  });
+
+  it("changes the money paid by passed squares and the length of moves", async () => {
+    registerPlugin({
+      id: "test_short_steps",
+      hooks: {
+        beforeMove(context) {
+          context.steps = Math.min(context.steps, 2);
+        },
+      },
+    });
+    const store = startRun(["double_money", "test_short_steps"]);
+    [1, 2, 3].forEach((id) => {
+      store.boardSquares[id].currentEffectType = "normal_money";
+      store.boardSquares[id].effectDetails = { amount: 3 };
+    });
+
+    await store.movePlayer(5);
+
+    expect(store.playerPosition).toBe(2);
+    expect(store.playerMoney).toBe(12);
+  });
+
+  it("lets plugins change rolls, landings and boss fights", async () => {
+    const ended = [];
+    registerPlugin({
+      id: "test_rules",
+      hooks: {
+        onRoll(context) {
+          if (context.phase === "board") context.value = 4;
+        },
+        onLand(context) {
+          context.square.currentEffectType = "huge_money";
+          context.square.effectDetails = { amount: 50 };
+        },
+        onBossStart(context) {
+          context.boss.hp = 10;
+        },
+        onBossDamage(context) {
+          context.damage += 1;
+        },
+        onRunEnd(context) {
+          ended.push(context);
+        },
+      },
+    });
+    const store = startRun(["test_rules"]);
+
+    await store.rollDice();
+    expect(store.playerPosition).toBe(4);
+    expect(store.playerMoney).toBe(50);
+
+    await store.handleBossEncounter();
+    expect(store.currentBossHP).toBe(10);
+    expect(store.resolveBossDamage(3, { type: "Random" })).toBe(4);
+
+    store.winByRelics();
+    expect(ended).toEqual([{ cause: "relics", won: true }]);
+  });
+
+  it("skips a failing plugin and keeps the plugins of the run in its snapshot", async () => {
+    registerPlugin({
+      id: "test_failing",
+      hooks: {
+        beforeMove() {
+          throw new Error("boom");
+        },
+      },
+    });
+    const store = startRun(["test_failing"]);
+
+    await store.movePlayer(3);
+    expect(store.playerPosition).toBe(3);
+    expect(console.warn).toHaveBeenCalled();
+    expect(store.toSnapshot().state.plugins).toEqual(["test_failing"]);
+  });
+
+  it("remembers the plugins enabled for new runs", () => {
+    expect(getEnabledPlugins()).toEqual([]);
+    setPluginEnabled("double_money", true);
+    setPluginEnabled("missing_plugin", true);
+    expect(getEnabledPlugins()).toEqual(["double_money"]);
+    setPluginEnabled("double_money", false);
+    expect(getEnabledPlugins()).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { MAX_TIMELINE_STEPS, useRecorderStore } from "../stores/recorder";
+
+describe("RecorderStore", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("records player actions with the state they produced", async () => {
+    const gameStore = useGameStore();
+    const recorder = useRecorderStore();
+    recorder.trackGame(gameStore);
+    gameStore.animationSpeedMultiplier = 0;
+
+    gameStore.initializeGame({ seed: "REPLAY" });
+    await gameStore.rollDice();
+
+    expect(recorder.timeline.seed).toBe("REPLAY");
+    expect(recorder.stepCount).toBe(1);
+    expect(recorder.timeline.steps[0].action).toBe("rollDice");
+    expect(recorder.timeline.steps[0].snapshot.state.totalRolls).toBe(gameStore.totalRolls);
+  });
+
+  it("round-trips a timeline through export and import", () => {
+    const gameStore = useGameStore();
+    const recorder = useRecorderStore();
+    gameStore.initializeGame({ seed: "EXPORT" });
+    recorder.startTimeline(gameStore);
+
+    const exported = recorder.exportTimeline();
+    setActivePinia(createPinia());
+    const other = useRecorderStore();
+    other.importTimeline(exported);
+
+    expect(other.timeline.seed).toBe("EXPORT");
+    expect(() => other.importTimeline("{}")).toThrow();
+  });
+
+  it("keeps only the latest steps and tells the player when the recording cannot be saved", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const gameStore = useGameStore();
+    const recorder = useRecorderStore();
+    gameStore.initializeGame({ seed: "LARGA" });
+    recorder.startTimeline(gameStore);
+
+    // Saving every step is slow; only the last one is saved for real
+    const persist = vi.spyOn(recorder, "persist").mockImplementation(() => {});
+    for (let i = 1; i <= MAX_TIMELINE_STEPS + 5; i++) {
+      gameStore.totalRolls = i;
+      recorder.recordStep("rollDice", { reservedDieIndex: -1 }, gameStore);
+    }
+    persist.mockRestore();
+    gameStore.totalRolls++;
+    recorder.recordStep("rollDice", { reservedDieIndex: -1 }, gameStore);
+    expect(recorder.stepCount).toBe(MAX_TIMELINE_STEPS);
+    expect(recorder.timeline.droppedSteps).toBe(6);
+    expect(recorder.timeline.initial.state.totalRolls).toBe(6);
+    expect(recorder.loadStoredTimeline().steps).toHaveLength(MAX_TIMELINE_STEPS);
+
+    vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Sin espacio", "QuotaExceededError");
+    });
+    gameStore.totalRolls++;
+    recorder.recordStep("rollDice", { reservedDieIndex: -1 }, gameStore);
+    gameStore.totalRolls++;
+    recorder.recordStep("rollDice", { reservedDieIndex: -1 }, gameStore);
+    expect(recorder.saveFailed).toBe(true);
+    expect(gameStore.events.filter((event) => event.key === "replay.saveFailed")).toHaveLength(1);
+  });
+});
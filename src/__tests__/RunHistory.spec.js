@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { useHistoryStore } from "../stores/history";
+import { summarizeRunHistory, loadRunHistory } from "../utils/runHistory";
+
+describe("Run history", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+  });
+
+  it("stores a finished run with its boss fights and damage per die type", async () => {
+    vi.useFakeTimers();
+    const gameStore = useGameStore();
+    const history = useHistoryStore();
+    history.trackGame(gameStore);
+    gameStore.initializeGame({ seed: "HISTORIA" });
+
+    const fixedDie = { type: "Fixed", value: 5 };
+    gameStore.reservedDice = [fixedDie];
+    gameStore.gamePhase = "boss_encounter";
+    gameStore.currentBoss = { name: "Jefe", hp: 5 };
+    gameStore.currentBossHP = 5;
+    const defeating = gameStore.rollDiceForBoss(fixedDie);
+    await vi.runAllTimersAsync();
+    await defeating;
+
+    gameStore.gamePhase = "boss_encounter";
+    const failing = gameStore.failBossFight();
+    await vi.runAllTimersAsync();
+    await failing;
+    vi.useRealTimers();
+
+    const [run] = loadRunHistory();
+    expect(history.currentRun).toBeNull();
+    expect(run.seed).toBe("HISTORIA");
+    expect(run.won).toBe(false);
+    expect(run.stageReached).toBe(2);
+    expect(run.bosses.map((fight) => fight.outcome)).toEqual(["perfect", "lost"]);
+    expect(run.endedBy).toBe(run.bosses[1].boss);
+    expect(run.damageByDieType).toEqual({ Fixed: 5 });
+  });
+
+  it("aggregates win rate, stages, deadliest boss and damage share", () => {
+    const summary = summarizeRunHistory([
+      { won: true, stageReached: 3, endedBy: null, damageByDieType: { Random: 30, Fixed: 10 } },
+      { won: false, stageReached: 1, endedBy: "Ogro", damageByDieType: { Random: 20 } },
+      { won: false, stageReached: 2, endedBy: "Ogro", damageByDieType: {} },
+    ]);
+
+    expect(summary.runs).toBe(3);
+    expect(summary.winRate).toBeCloseTo(1 / 3);
+    expect(summary.averageStageReached).toBe(2);
+    expect(summary.deadliestBoss).toEqual({ boss: "Ogro", runs: 2 });
+    expect(summary.damageShare[0]).toEqual({ type: "Random", damage: 50, share: 50 / 60 });
+  });
+
+  it("keeps finishing runs when the storage refuses to delete", () => {
+    const history = useHistoryStore();
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const removeItem = vi.spyOn(Storage.prototype, "removeItem").mockImplementation(() => {
+      throw new DOMException("Bloqueado", "SecurityError");
+    });
+
+    expect(() =>
+      history.finishRun({ seed: "BLOQUEO", won: true, stageReached: 5, bosses: [] })
+    ).not.toThrow();
+    expect(loadRunHistory().map((run) => run.seed)).toEqual(["BLOQUEO"]);
+    expect(history.currentRun).toBeNull();
+    expect(() => history.clearHistory()).not.toThrow();
+    expect(history.runs).toEqual([]);
+
+    [removeItem, log, warn].forEach((spy) => spy.mockRestore());
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { simulateRun, summarizeSimulation } from "../utils/simulation";
+import { STRATEGIES } from "../utils/strategies";
+
+describe("Headless simulation", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("plays whole runs without timers, the same way for the same seed", async () => {
+    const first = await simulateRun({ seed: "SIM-1", strategy: STRATEGIES.fighter });
+    const second = await simulateRun({ seed: "SIM-1", strategy: STRATEGIES.fighter });
+
+    expect(vi.getTimerCount()).toBe(0);
+    expect(first.ending).not.toBe("stuck");
+    expect(first.endedAt).not.toBeNull();
+    expect(second.bosses).toEqual(first.bosses);
+    expect(second.steps).toBe(first.steps);
+  });
+
+  it("reports bribe and fight rates per strategy", async () => {
+    const runs = [];
+    for (let i = 0; i < 3; i++) {
+      runs.push(await simulateRun({ seed: `SIM-B${i}`, strategy: STRATEGIES.briber }));
+    }
+    const summary = summarizeSimulation(runs);
+
+    expect(summary.runs + summary.stuckRuns).toBe(3);
+    expect(summary.bribeRate).toBeGreaterThan(0);
+    expect(Object.keys(summary.averageMoneyAtBoss)).toContain("1");
+    expect(summarizeSimulation(runs.map((run) => ({ ...run, bosses: [] }))).bribeRate).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { setActivePinia, createPinia } from "pinia";
+import { STAGE_CONFIGS, useGameStore } from "../stores/game";
+import { useHistoryStore } from "../stores/history";
+import { DEFAULT_BOSS_ATTACK } from "../utils/bossMechanics";
+import {
+  STAKES,
+  applyStake,
+  getSelectedStake,
+  getStakeBagSize,
+  getUnlockedStake,
+  selectStake,
+  unlockNextStake,
+} from "../utils/stakes";
+import { SNAPSHOT_VERSION, migrateSnapshot } from "../utils/saveGame";
+
+describe("Stakes", () => {
+  beforeEach(() => {
+    setActivePinia(createPinia());
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("stacks the modifiers of every stake below the chosen one", () => {
+    const base = STAGE_CONFIGS[1];
+    const original = JSON.stringify(STAGE_CONFIGS);
+    expect(applyStake(STAGE_CONFIGS, 0)[1]).toEqual(base);
+
+    const red = applyStake(STAGE_CONFIGS, 1)[1];
+    expect(red.maxBadSquares).toBe(base.maxBadSquares + 1);
+    expect(red.bossDefeatCondition.hp).toBe(base.bossDefeatCondition.hp);
+
+    const gold = applyStake(STAGE_CONFIGS, STAKES.length - 1)[1];
+    expect(gold.minBadSquares).toBe(base.minBadSquares + 1);
+    expect(gold.bossDefeatCondition.hp).toBe(Math.round(base.bossDefeatCondition.hp * 1.25));
+    expect(gold.bossDefeatCondition.diceThrows).toBe(
+      Math.max(1, base.bossDefeatCondition.diceThrows - 1)
+    );
+    expect(gold.moneyMultiplier).toBeLessThan(base.moneyMultiplier);
+    expect(gold.bossDefeatCondition.bribeCost).toBeGreaterThan(base.bossDefeatCondition.bribeCost);
+    expect(gold.bossDefeatCondition.attack).toBe(base.bossDefeatCondition.attack + 1);
+    // The campaign itself is left untouched
+    expect(JSON.stringify(STAGE_CONFIGS)).toBe(original);
+
+    // Bosses without their own attack die hit harder than the default one
+    const { attack, ...unarmed } = base.bossDefeatCondition;
+    const custom = applyStake({ 1: { ...base, bossDefeatCondition: unarmed } }, STAKES.length - 1);
+    expect(attack).toBeDefined();
+    expect(custom[1].bossDefeatCondition.attack).toBe(DEFAULT_BOSS_ATTACK + 1);
+
+    expect(getStakeBagSize(0, 15)).toBe(15);
+    expect(getStakeBagSize(STAKES.length - 1, 15)).toBe(10);
+  });
+
+  it("unlocks the next stake once and never selects a locked one", () => {
+    expect(getUnlockedStake()).toBe(0);
+    selectStake(3);
+    expect(getSelectedStake()).toBe(0);
+
+    expect(unlockNextStake(0)).toBe(STAKES[1]);
+    expect(unlockNextStake(0)).toBeNull();
+    expect(unlockNextStake(STAKES.length - 1)).toBeNull();
+    expect(getUnlockedStake()).toBe(1);
+    selectStake(1);
+    expect(getSelectedStake()).toBe(1);
+  });
+
+  it("plays a run with the stake's stages and keeps the stake in its snapshot", () => {
+    const store = useGameStore();
+    store.initializeGame({ seed: "APUESTA", stake: 6 });
+
+    expect(store.stake).toBe(6);
+    expect(store.maxDiceInBag).toBe(getStakeBagSize(6, 15));
+    expect(store.currentStageConfig.bossDefeatCondition.hp).toBe(
+      applyStake(STAGE_CONFIGS, 6)[1].bossDefeatCondition.hp
+    );
+    expect(store.toSnapshot().state.stake).toBe(6);
+
+    const old = { version: 9, seed: "VIEJA", state: { playerStage: 2, plugins: [] } };
+    const migrated = migrateSnapshot(old);
+    expect(migrated.version).toBe(SNAPSHOT_VERSION);
+    expect(migrated.state.stake).toBe(0);
+  });
+
+  it("unlocks the next stake when a run is won", () => {
+    const history = useHistoryStore();
+    history.finishRun({ seed: "GANADA", stake: 0, won: true, bosses: [] });
+    expect(getUnlockedStake()).toBe(1);
+    history.finishRun({ seed: "PERDIDA", stake: 1, won: false, bosses: [] });
+    expect(getUnlockedStake()).toBe(1);
+  });
+});
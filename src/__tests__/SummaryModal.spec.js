@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render } from "@testing-library/vue";
+import { setActivePinia, createPinia } from "pinia";
+import SummaryModal from "../components/SummaryModal.vue";
+import { useGameStore } from "../stores/game";
+import { recordEndlessDepth } from "../utils/endless";
+import { t } from "../utils/i18n";
+
+describe("SummaryModal", () => {
+  let pinia;
+
+  beforeEach(() => {
+    pinia = createPinia();
+    setActivePinia(pinia);
+    localStorage.clear();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Ends a run the way the game store does and shows its summary
+   * @param {Object} options - Options of `initializeGame`
+   * @param {number} stage - Stage the run got to
+   * @param {string} phase - Final phase, "game_won" or "game_over"
+   * @returns {ReturnType<typeof render>} Rendered summary
+   */
+  function renderFinishedRun(options, stage, phase) {
+    const store = useGameStore();
+    store.initializeGame(options);
+    store.headless = true;
+    store.playerStage = stage;
+    store.activePlayer.stageReached = stage;
+    store.isGameOver = true;
+    store.gamePhase = phase;
+    return render(SummaryModal, { global: { plugins: [pinia] } });
+  }
+
+  it("sums up a won campaign run", () => {
+    const { getByText, queryByText } = renderFinishedRun({ seed: "RESUMEN" }, 3, "game_won");
+    expect(getByText(`🏁 ${t("summary.title")}`)).toBeInTheDocument();
+    expect(getByText(t("summary.restart"))).toBeInTheDocument();
+    expect(queryByText(t("summary.endlessRecord"), { exact: false })).toBeNull();
+  });
+
+  it("shows the depth of an endless run against the record", () => {
+    recordEndlessDepth(12);
+    const { container } = renderFinishedRun({ seed: "PROFUNDO", endless: true }, 9, "game_over");
+    const depth = container.querySelector(".summary-depth").textContent;
+    expect(depth).toContain(t("summary.endlessDepth", { stage: 9 }));
+    expect(depth).toContain(t("summary.endlessBest", { stage: 12 }));
+    expect(depth).not.toContain(t("summary.endlessRecord"));
+  });
+});
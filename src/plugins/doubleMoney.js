@@ -0,0 +1,14 @@
+// src/plugins/doubleMoney.js
+// Example plugin: every square passed pays twice as much.
+
+/** @type {import("../utils/plugins").GamePlugin} */
+export default {
+  id: "double_money",
+  name: "Double money",
+  description: "Squares pay twice as much money when you walk over them.",
+  hooks: {
+    onPassSquare(context) {
+      context.amount *= 2;
+    },
+  },
+};
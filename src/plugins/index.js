@@ -0,0 +1,8 @@
+// src/plugins/index.js
+// Plugins bundled with the game. Importing this module registers them; main.js does it at
+// startup. A new plugin is a module exporting a GamePlugin (see utils/plugins) added here.
+import { registerPlugin } from "../utils/plugins";
+import doubleMoney from "./doubleMoney";
+import luckyReroll from "./luckyReroll";
+
+[doubleMoney, luckyReroll].forEach(registerPlugin);
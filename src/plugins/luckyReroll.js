@@ -0,0 +1,14 @@
+// src/plugins/luckyReroll.js
+// Example plugin: a 1 rolled on the board is rolled again once, the second result stands.
+
+/** @type {import("../utils/plugins").GamePlugin} */
+export default {
+  id: "lucky_reroll",
+  name: "Lucky reroll",
+  description: "A 1 rolled on the board is rolled again once.",
+  hooks: {
+    onRoll(context) {
+      if (context.phase === "board" && context.value === 1) context.reroll();
+    },
+  },
+};
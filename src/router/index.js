@@ -16,6 +16,31 @@ const routes = [
     name: "Game",
     component: () => import("../views/GameView.vue"), // Lazy load GameView
   },
+  {
+    path: "/replay",
+    name: "Replay",
+    component: () => import("../views/ReplayView.vue"),
+  },
+  {
+    path: "/campaigns",
+    name: "Campaigns",
+    component: () => import("../views/CampaignsView.vue"),
+  },
+  {
+    path: "/editor",
+    name: "Editor",
+    component: () => import("../views/EditorView.vue"),
+  },
+  {
+    path: "/stats",
+    name: "Stats",
+    component: () => import("../views/StatsView.vue"),
+  },
+  {
+    path: "/leaderboard",
+    name: "Leaderboard",
+    component: () => import("../views/LeaderboardView.vue"),
+  },
   {
     path: "/assets",
     name: "Assets",
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Achievements for Dice or Die.
+ * Watches the game store while a run is played, unlocks the achievements whose goal is reached
+ * and keeps them in localStorage so they stay unlocked across runs.
+ * @module stores/achievements
+ */
+import { defineStore } from "pinia";
+import {
+  ACHIEVEMENTS,
+  getAchievement,
+  createRunProgress,
+  updateRunProgress,
+} from "../utils/achievements";
+
+/** @const {string} localStorage key holding the unlocked achievements */
+const ACHIEVEMENTS_STORAGE_KEY = "dice-or-die:achievements";
+
+/** @const {number} Milliseconds an unlock toast stays on screen */
+const TOAST_DURATION = 4000;
+
+/** @const {string[]} Game store actions after which achievements are checked */
+const CHECKED_ACTIONS = [
+  "rollDice",
+  "rollDiceForBoss",
+  "playerMakesChoice",
+  "payToDefeatBoss",
+  "payBail",
+  "defeatBoss",
+  "winByRelics",
+];
+
+/**
+ * Reads the unlocked achievements from localStorage
+ * @returns {Object.<string, string>} ISO unlock date keyed by achievement id
+ */
+function loadUnlockedAchievements() {
+  try {
+    const raw = localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn("Achievements: No se pudieron leer los logros guardados.", error);
+    return {};
+  }
+}
+
+/**
+ * Achievements store definition using Pinia
+ * Keeps the unlocked achievements, the counters of the run in play and the pending toasts
+ */
+export const useAchievementsStore = defineStore("achievements", {
+  state: () => ({
+    /** @type {Object.<string, string>} ISO unlock date keyed by achievement id */
+    unlocked: loadUnlockedAchievements(),
+    /** @type {Object.<number, import("../utils/achievements").RunProgress>} Counters per player */
+    runProgress: {},
+    /** @type {import("../utils/achievements").Achievement[]} Unlocks waiting to be shown */
+    toasts: [],
+  }),
+
+  getters: {
+    /**
+     * Every achievement with its unlock date, for the gallery
+     * @returns {Array<Object>} Achievements, with `unlockedAt` null while locked
+     */
+    gallery(state) {
+      return ACHIEVEMENTS.map((achievement) => ({
+        ...achievement,
+        unlockedAt: state.unlocked[achievement.id] ?? null,
+      }));
+    },
+
+    /**
+     * Number of unlocked achievements
+     * @returns {number} Unlocked count
+     */
+    unlockedCount(state) {
+      return ACHIEVEMENTS.filter((achievement) => state.unlocked[achievement.id]).length;
+    },
+  },
+
+  actions: {
+    /**
+     * Starts watching the game store. Call it from a component setup so the subscription
+     * ends with it.
+     * @param {Object} gameStore - Game store to watch
+     */
+    trackGame(gameStore) {
+      gameStore.$onAction(({ name, after }) => {
+        if (name === "initializeGame" || name === "resetGame" || name === "restoreSnapshot") {
+          after(() => this.startRun());
+        } else if (name === "stashActivePlayer") {
+          // Read the state of the player passing the turn before it is stashed away
+          this.checkProgress(gameStore);
+        } else if (name === "handleSquareLanding") {
+          after(() => this.checkProgress(gameStore, this.isOnHarmfulTrap(gameStore)));
+        } else if (CHECKED_ACTIONS.includes(name)) {
+          after(() => this.checkProgress(gameStore));
+        }
+      });
+    },
+
+    /**
+     * Forgets the counters of the previous run
+     */
+    startRun() {
+      this.runProgress = {};
+    },
+
+    /**
+     * Checks whether the active player stands on a trap that took their money
+     * @param {Object} gameStore - Game store after the landing
+     * @returns {boolean} True when the trap hurt the player
+     */
+    isOnHarmfulTrap(gameStore) {
+      const square = gameStore.boardSquares[gameStore.playerPosition];
+      return (
+        square?.currentEffectType === "temp_bad_lap" &&
+        !gameStore.activeBoosts.some((boost) => boost.id === "trap_immunity")
+      );
+    },
+
+    /**
+     * Updates the counters of the active player and unlocks every achievement now reached
+     * @param {Object} gameStore - Game store
+     * @param {boolean} [landedOnTrap] - Whether the last move ended on a harmful trap
+     */
+    checkProgress(gameStore, landedOnTrap = false) {
+      const playerIndex = gameStore.currentPlayerIndex;
+      if (!this.runProgress[playerIndex]) {
+        this.runProgress[playerIndex] = createRunProgress(gameStore);
+      }
+      const progress = this.runProgress[playerIndex];
+      updateRunProgress(progress, gameStore, landedOnTrap);
+      ACHIEVEMENTS.forEach((achievement) => {
+        if (!this.unlocked[achievement.id] && achievement.isReached(gameStore, progress)) {
+          this.unlock(achievement.id);
+        }
+      });
+    },
+
+    /**
+     * Unlocks an achievement and shows its toast
+     * @param {string} achievementId - Achievement id
+     */
+    unlock(achievementId) {
+      const achievement = getAchievement(achievementId);
+      if (!achievement || this.unlocked[achievementId]) return;
+      console.log("Achievements: Unlocked", achievementId);
+      this.unlocked[achievementId] = new Date().toISOString();
+      this.persist();
+      this.toasts.push(achievement);
+      setTimeout(() => this.dismissToast(achievementId), TOAST_DURATION);
+    },
+
+    /**
+     * Removes the toast of an achievement
+     * @param {string} achievementId - Achievement id
+     */
+    dismissToast(achievementId) {
+      this.toasts = this.toasts.filter((toast) => toast.id !== achievementId);
+    },
+
+    /**
+     * Saves the unlocked achievements to localStorage
+     */
+    persist() {
+      try {
+        localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify(this.unlocked));
+      } catch (error) {
+        console.warn("Achievements: No se pudieron guardar los logros.", error);
+      }
+    },
+  },
+});
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Autopilot for Dice or Die.
+ * Plays the run on screen with one of the simulation strategies: it waits for each animation to
+ * end, makes the move the strategy picks and keeps the reason so the message panel can show it.
+ * Used for demos, long soak tests of the UI and to show new players sensible play.
+ * @module stores/autopilot
+ */
+import { defineStore } from "pinia";
+import { STRATEGIES, PLAYABLE_PHASES, planStep } from "../utils/strategies";
+import { t } from "../utils/i18n";
+
+/** @const {number} Milliseconds between two moves at normal speed */
+const AUTOPILOT_STEP_DELAY = 900;
+
+/** @const {number} Milliseconds between checks while an animation is playing */
+const AUTOPILOT_POLL_DELAY = 200;
+
+// Timer of the next move; kept out of the state so it is never serialized
+let stepTimer = null;
+
+/**
+ * Autopilot store definition using Pinia
+ * Keeps whether the autopilot plays, with which strategy, and why it made its last move
+ */
+export const useAutopilotStore = defineStore("autopilot", {
+  state: () => ({
+    /** @type {boolean} Whether the autopilot is playing */
+    enabled: false,
+    /** @type {string} Key of the strategy in STRATEGIES */
+    strategyName: "balanced",
+    /** @type {boolean} Whether a new run starts once the current one is over */
+    playAgain: false,
+    /** @type {string} Reason of the last move, shown in the message panel */
+    reason: "",
+  }),
+
+  getters: {
+    /**
+     * Strategy in use
+     * @returns {import("../utils/strategies").Strategy} The strategy
+     */
+    strategy(state) {
+      return STRATEGIES[state.strategyName] ?? STRATEGIES.balanced;
+    },
+
+    /**
+     * Strategies the player can pick, in STRATEGIES order
+     * @returns {Array<{name: string, label: string, description: string}>} Strategies
+     */
+    strategyOptions() {
+      return Object.values(STRATEGIES).map(({ name, label, description }) => ({
+        name,
+        label,
+        description,
+      }));
+    },
+  },
+
+  actions: {
+    /**
+     * Starts or stops playing for the user
+     * @param {Object} gameStore - Game store to play
+     */
+    toggle(gameStore) {
+      if (this.enabled) this.stop();
+      else this.start(gameStore);
+    },
+
+    /**
+     * Starts playing for the user
+     * @param {Object} gameStore - Game store to play
+     */
+    start(gameStore) {
+      this.enabled = true;
+      this.reason = `🤖 ${this.strategy.description}`;
+      console.log("Autopilot: Started with", this.strategyName);
+      this.scheduleStep(gameStore, 0);
+    },
+
+    /**
+     * Stops playing and hands the run back to the user
+     */
+    stop() {
+      clearTimeout(stepTimer);
+      stepTimer = null;
+      this.enabled = false;
+      this.reason = "";
+      console.log("Autopilot: Stopped");
+    },
+
+    /**
+     * Changes the strategy; the autopilot keeps playing with the new one
+     * @param {string} name - Key of the strategy in STRATEGIES
+     */
+    setStrategy(name) {
+      if (!STRATEGIES[name]) {
+        console.warn("Autopilot: Estrategia desconocida", name);
+        return;
+      }
+      this.strategyName = name;
+      if (this.enabled) this.reason = `🤖 ${this.strategy.description}`;
+    },
+
+    /**
+     * Schedules the next move
+     * @param {Object} gameStore - Game store to play
+     * @param {number} delay - Milliseconds to wait
+     */
+    scheduleStep(gameStore, delay) {
+      clearTimeout(stepTimer);
+      stepTimer = setTimeout(() => this.step(gameStore), delay);
+    },
+
+    /**
+     * Makes the next move once the run is waiting for the player
+     * @param {Object} gameStore - Game store to play
+     * @returns {Promise<void>} Resolves once the move is over
+     */
+    async step(gameStore) {
+      stepTimer = null;
+      if (!this.enabled) return;
+
+      if (gameStore.isGameOver) {
+        if (!this.playAgain) {
+          this.stop();
+          return;
+        }
+        this.reason = `🤖 ${t("autopilot.playAgain")}`;
+        gameStore.resetGame();
+        this.scheduleStep(gameStore, gameStore.getAnimationDelay(AUTOPILOT_STEP_DELAY));
+        return;
+      }
+      if (gameStore.isAnimating || !PLAYABLE_PHASES.includes(gameStore.gamePhase)) {
+        this.scheduleStep(gameStore, AUTOPILOT_POLL_DELAY);
+        return;
+      }
+
+      try {
+        const { action, args, reason } = planStep(gameStore, this.strategy);
+        this.reason = `🤖 ${reason}`;
+        await gameStore[action](...args);
+      } catch (error) {
+        console.error("Autopilot: La jugada falló, se detiene.", error);
+        this.stop();
+        return;
+      }
+      if (this.enabled) {
+        this.scheduleStep(gameStore, gameStore.getAnimationDelay(AUTOPILOT_STEP_DELAY));
+      }
+    },
+  },
+});
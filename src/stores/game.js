@@ -4,6 +4,34 @@
  * @module stores/game
  */
 import { defineStore } from "pinia";
+import { hashSeed, nextRandom, generateSeed } from "../utils/rng";
+import { buildSnapshot, isValidSnapshot, SNAPSHOT_FIELDS } from "../utils/saveGame";
+import {
+  createPlayer,
+  defaultPlayerName,
+  MAX_PLAYER_HP,
+  MAX_PLAYERS,
+  PLAYER_STATE_FIELDS,
+} from "../utils/players";
+import { RELICS, hasAllRelics } from "../utils/relics";
+import { BOOSTS, getBoost } from "../utils/boosts";
+import { DICE_TYPES, describeDie, getDieDefinition, rollDie } from "../utils/diceRegistry";
+import { DEFAULT_CAMPAIGN, campaignToStageConfigs } from "../utils/campaigns";
+import { previewMove } from "../utils/movePreview";
+import { t } from "../utils/i18n";
+import { MAX_GAME_EVENTS, describeEvent } from "../utils/gameEvents";
+import { runHook } from "../utils/plugins";
+import { applyStake, getStakeBagSize } from "../utils/stakes";
+import { generateEndlessStage } from "../utils/endless";
+import { DEFAULT_BOSS_ATTACK } from "../utils/bossMechanics";
+import {
+  countPerimeterSquares,
+  createPerimeterSquares,
+  getCornerSquareIds,
+} from "../utils/boardGeometry";
+
+// Die types now live in the dice registry; re-exported so existing imports keep working
+export { DICE_TYPES };
 
 // --- Type Definitions ---
 
@@ -12,6 +40,13 @@ import { defineStore } from "pinia";
  * @property {number} diceThrows - Number of dice throws allowed against the boss
  * @property {number} hp - Boss's total hit points
  * @property {number} bribeCost - Cost in coins to bribe/skip the boss
+ * @property {number} [attack] - Faces of the die the boss counter-attacks with after each throw
+ * @property {number} [lockBelow] - Jail mechanic: throws below this value lock a die from the bag
+ * @property {number} [taxPerThrow] - Tax mechanic: coins charged for every throw
+ * @property {number} [stealPercent] - Steal mechanic: chance (1-100) of losing a die per throw
+ * @property {number} [armor] - Armor mechanic: throws below this value deal no damage
+ * @property {number} [healPerThrow] - Heal mechanic: gold eaten and turned into HP per throw
+ * @property {number} [rerollAtLeast] - Reroll mechanic: throws of this value or more are rerolled
  */
 
 /**
@@ -28,169 +63,203 @@ import { defineStore } from "pinia";
  * @property {number} maxChoicePickDieSquares - Maximum number of pick-a-die squares
  * @property {string} bossName - Name of the stage boss
  * @property {string} bossImage - Filename of the boss image asset
+ * @property {string} [bossMechanic] - Special rule of the boss fight, see utils/bossMechanics
+ * @property {import("../utils/boardLayouts").StageBoard} [board] - Hand-designed squares from
+ *   the board editor, used instead of random effects on every lap not listed in `randomLaps`
  * @property {BossDefeatCondition} bossDefeatCondition - Conditions to defeat the boss
  */
 
 // --- Configuration ---
 
-/** @type {Object.<number, StageConfig>} */
-const STAGE_CONFIGS = {
-  1: {
-    // 6x6
-    rows: 6,
-    cols: 6,
-    moneyMultiplier: 1,
-    lapsToComplete: 3,
-    minBadSquares: 1,
-    maxBadSquares: 2,
-    minChoiceDiceMoneySquares: 2,
-    maxChoiceDiceMoneySquares: 4,
-    minChoicePickDieSquares: 2,
-    maxChoicePickDieSquares: 4,
-    bossName: "Recaudador de Impuestos",
-    bossImage: "tax_collector.png",
-    bossDefeatCondition: {
-      diceThrows: 3,
-      hp: 15,
-      bribeCost: 40,
-    },
-  },
-  2: {
-    // 9x9
-    rows: 9,
-    cols: 9,
-    moneyMultiplier: 1.5,
-    lapsToComplete: 3,
-    minBadSquares: 2,
-    maxBadSquares: 4,
-    minChoiceDiceMoneySquares: 4,
-    maxChoiceDiceMoneySquares: 8,
-    minChoicePickDieSquares: 4,
-    maxChoicePickDieSquares: 8,
-    bossName: "Goblin Codicioso",
-    bossImage: "greedy_goblin_king.webp",
-    bossDefeatCondition: {
-      diceThrows: 3,
-      hp: 30,
-      bribeCost: 80,
-    },
-  },
-  3: {
-    // 9x9
-    rows: 9,
-    cols: 9,
-    moneyMultiplier: 1.75,
-    lapsToComplete: 3,
-    minBadSquares: 2,
-    maxBadSquares: 4,
-    minChoiceDiceMoneySquares: 4,
-    maxChoiceDiceMoneySquares: 8,
-    minChoicePickDieSquares: 4,
-    maxChoicePickDieSquares: 8,
-    bossName: "Comandante Orco",
-    bossImage: "orc_general.png",
-    bossDefeatCondition: {
-      diceThrows: 3,
-      hp: 40,
-      bribeCost: 70,
-    },
-  },
-  4: {
-    // 12x12
-    rows: 10,
-    cols: 14,
-    moneyMultiplier: 2,
-    lapsToComplete: 3,
-    minBadSquares: 4,
-    maxBadSquares: 8,
-    minChoiceDiceMoneySquares: 8,
-    maxChoiceDiceMoneySquares: 16,
-    minChoicePickDieSquares: 8,
-    maxChoicePickDieSquares: 16,
-    bossName: "Dragón Tesorero",
-    bossImage: "dragon_treasurer.png",
-    bossDefeatCondition: {
-      diceThrows: 3,
-      hp: 50,
-      bribeCost: 100,
-    },
-  },
-  5: {
-    // 12x12
-    rows: 10,
-    cols: 14,
-    moneyMultiplier: 2.5,
-    lapsToComplete: 3,
-    minBadSquares: 4,
-    maxBadSquares: 8,
-    minChoiceDiceMoneySquares: 8,
-    maxChoiceDiceMoneySquares: 16,
-    minChoicePickDieSquares: 8,
-    maxChoicePickDieSquares: 16,
-    bossName: "Gato Dios Oscuro",
-    bossImage: "dark_godcat.webp",
-    bossDefeatCondition: {
-      diceThrows: 3,
-      hp: 70,
-      bribeCost: 200,
-    },
-  },
-};
+/**
+ * Stages of the bundled campaign (src/campaigns/default.json), keyed by stage number.
+ * Runs read their stages from the campaign they were started with, see `stageConfigs`.
+ * @type {Object.<number, StageConfig>}
+ */
+const STAGE_CONFIGS = campaignToStageConfigs(DEFAULT_CAMPAIGN);
 
 export { STAGE_CONFIGS };
 
 /** @const {number} Maximum number of dice that can be stored in the player's bag */
 const MAX_RESERVED_DICE = 15;
 
-/** @const {number} Total number of available game stages */
-const MAX_STAGES = Object.keys(STAGE_CONFIGS).length;
+/** @const {number} Turns a player spends in the prison corner */
+const JAIL_TURNS = 3;
+
+/** @const {number} Minimum d6 result needed to escape from prison */
+const JAIL_ESCAPE_ROLL = 5;
+
+/** @const {number} Bail per stage number to leave prison right away */
+const JAIL_BAIL_PER_STAGE = 10;
+
+/** @const {number} Chance that a new lap hides a relic somewhere on the board */
+const RELIC_SQUARE_CHANCE = 0.2;
+
+/** @const {number} Escape roll needed while holding the Master Key relic */
+const MASTER_KEY_ESCAPE_ROLL = 4;
+
+/** @const {number} Share of the bribe kept off by the Royal Seal relic */
+const ROYAL_SEAL_DISCOUNT = 0.25;
+
+/** @const {number} Health lost when stepping on a trap */
+const TRAP_DAMAGE = 2;
+
+/** @const {number} Health lost when the guards drag you into prison */
+const JAIL_DAMAGE = 3;
+
+/** @const {number} Health restored by the healing option of choice squares */
+const HEAL_CHOICE_AMOUNT = 8;
 
 /** @const {number} Base value for huge money rewards */
 const HUGE_MONEY_AMOUNT_BASE = 10;
 
-/** @const {Object} Types */
-export const DICE_TYPES = {
-  NORMAL: "Random",
-  FIXED: "Fixed",
-  D20: "20",
-  REVERSE_FIXED: "Reverse Fixed",
-  REVERSE_RANDOM: "Reverse Random",
-};
+/** @const {number} Number of dice the merchant offers at once */
+const SHOP_STOCK_SIZE = 3;
+
+/** @const {number} Base price to reroll the merchant's stock */
+const SHOP_REROLL_BASE_PRICE = 3;
+
+/** @const {string[]} Choice actions that keep the merchant open */
+const SHOP_ACTIONS = ["buy_die", "reroll_shop", "open_sell_menu", "sell_die", "open_shop_menu"];
 
 // --- Helper Functions ---
 
+/**
+ * Draws the next float from the store's seeded generator and advances its state
+ * @param {Object} store - Game store holding the generator state
+ * @returns {number} Random float in [0, 1)
+ */
+function random(store) {
+  const { value, state } = nextRandom(store.rngState);
+  store.rngState = state;
+  return value;
+}
+
 /**
  * Generates a random integer between min and max (inclusive)
+ * @param {Object} store - Game store holding the generator state
  * @param {number} min - Minimum value (inclusive)
  * @param {number} max - Maximum value (inclusive)
  * @returns {number} Random integer between min and max
  */
-function getRandomInt(min, max) {
+function getRandomInt(store, min, max) {
   min = Math.ceil(min);
   max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random(store) * (max - min + 1)) + min;
+}
+
+/**
+ * Rolls a die from the registry with the store's seeded generator
+ * @param {Object} store - Game store holding the generator state
+ * @param {Object} die - Die data
+ * @returns {{value: number, direction: number}} Face rolled and movement direction
+ */
+function rollStoreDie(store, die) {
+  return rollDie(die, () => random(store));
+}
+
+/**
+ * Rolls a die for a player and lets the run's plugins see or change the result (`onRoll`)
+ * @param {Object} store - Game store holding the generator state
+ * @param {Object} die - Die data
+ * @param {string} phase - "board" for moves, "boss" for throws at a boss
+ * @returns {{value: number, direction: number}} Face rolled and movement direction
+ */
+function rollPlayerDie(store, die, phase) {
+  const context = { die, phase, ...rollStoreDie(store, die) };
+  context.reroll = () => Object.assign(context, rollStoreDie(store, die));
+  runHook(store, "onRoll", context);
+  return { value: context.value, direction: context.direction };
 }
 
 /**
  * Shuffles an array in place using the Fisher-Yates algorithm
  * @template T
+ * @param {Object} store - Game store holding the generator state
  * @param {Array<T>} array - Array to shuffle
  * @returns {Array<T>} The shuffled array
  */
-function shuffleArray(array) {
+function shuffleArray(store, array) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random(store) * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
 }
 
+/**
+ * Waits for an animation to play. Headless stores (simulations) do not wait at all.
+ * @param {Object} store - Game store
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves once the animation is over
+ */
+function wait(store, ms) {
+  if (store.headless) return Promise.resolve();
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a visual clean-up after a delay, e.g. hiding a damage pop.
+ * Headless stores show nothing, so the clean-up runs right away.
+ * @param {Object} store - Game store
+ * @param {function(): void} callback - Clean-up to run
+ * @param {number} ms - Milliseconds the visual stays on screen
+ */
+function afterDelay(store, callback, ms) {
+  if (store.headless) callback();
+  else setTimeout(callback, ms);
+}
+
+/**
+ * Checks whether the active player has a boost running
+ * @param {Object} store - Game store
+ * @param {string} boostId - Boost id, see BOOSTS
+ * @returns {boolean} Whether the boost is active
+ */
+function hasBoost(store, boostId) {
+  return store.activeBoosts.some((boost) => boost.id === boostId);
+}
+
+/**
+ * Pays the square the player just stepped on while moving. Only money squares pay, and only
+ * moving forward, but plugins see every square through `onPassSquare` and may change that.
+ * @param {Object} store - Game store
+ * @param {number} direction - 1 moving forward, -1 backward
+ * @returns {number} Money paid; negative when a plugin made the square charge
+ */
+function payPassedSquare(store, direction) {
+  const square = store.boardSquares[store.playerPosition];
+  let amount = 0;
+  if (
+    direction > 0 &&
+    square?.currentEffectType === "normal_money" &&
+    square.effectDetails?.amount
+  ) {
+    amount = square.effectDetails.amount + (store.relics.includes("golden_idol") ? 1 : 0);
+    if (hasBoost(store, "money_multiplier")) amount *= getBoost("money_multiplier").value;
+  }
+  ({ amount } = runHook(store, "onPassSquare", { square, direction, amount }));
+  if (!amount) return 0;
+  store.playerMoney += amount;
+  store.logEvent(
+    "money",
+    amount > 0 ? "events.squareMoney" : "events.squareCharge",
+    { amount: Math.abs(amount), square: store.playerPosition },
+    { money: amount, quiet: true }
+  );
+  return amount;
+}
+
 /**
  * Game store definition using Pinia
  * Manages the entire game state and provides actions for game mechanics
  */
 export const useGameStore = defineStore("game", {
   state: () => ({
+    /** @type {import("../utils/players").PlayerRecord[]} Players of the run, in turn order */
+    players: [],
+    /** @type {number} Index in `players` of the player whose turn it is */
+    currentPlayerIndex: 0,
     /** @type {number} Number of rows in the current board */
     boardRows: 0,
     /** @type {number} Number of columns in the current board */
@@ -207,12 +276,24 @@ export const useGameStore = defineStore("game", {
     lastDiceRoll: null,
     /** @type {Array} Array of reserved dice */
     reservedDice: [],
+    /** @type {number} Turns the active player still has to spend in prison */
+    jailTurnsRemaining: 0,
+    /** @type {string[]} Ids of the relics the active player has found */
+    relics: [],
+    /** @type {import("../utils/boosts").ActiveBoost[]} Timed boosts of the active player */
+    activeBoosts: [],
+    /** @type {number} Health of the active player, the run is lost for them at 0 */
+    playerHP: MAX_PLAYER_HP,
+    /** @type {string|null} How the run ended: "stages", "relics", "defeat" or "player_died" */
+    gameOverCause: null,
     /** @type {number} Maximum number of dice that can be held */
     maxDiceInBag: MAX_RESERVED_DICE,
     /** @type {Array} Array of board square objects */
     boardSquares: [],
-    /** @type {string} Current game message to display */
-    gameMessage: "Roll the die to start!",
+    /** @type {import("../utils/gameEvents").GameEvent[]} Latest events of the run, oldest first */
+    events: [],
+    /** @type {number} Id of the first event of the banner message, see `announce` */
+    bannerStartId: 1,
     /** @type {boolean} Whether the game is over */
     isGameOver: false,
     /** @type {string} Current phase of the game turn */
@@ -221,6 +302,8 @@ export const useGameStore = defineStore("game", {
     choiceDetails: null,
     /** @type {number} Animation speed multiplier */
     animationSpeedMultiplier: 1,
+    /** @type {boolean} Simulations run without timers: no waits and no on-screen pops */
+    headless: false,
     /** @type {boolean} Whether an animation is currently playing */
     isAnimating: false,
     /** @type {number} Base duration for dice roll animation */
@@ -233,10 +316,16 @@ export const useGameStore = defineStore("game", {
     assetsLoaded: false,
     /** @type {number|null} Currently highlighted square */
     highlightedTargetSquare: null,
+    /** @type {import("../utils/movePreview").MovePreview|null} Preview of the hovered die */
+    movePreview: null,
     /** @type {number|null} Last general dice roll */
     lastGeneralRoll: null,
     /** @type {boolean} Whether to show general roll visual */
     showGeneralRoll: false,
+    /** @type {string} Seed of the current run, shareable through `?seed=` */
+    seed: "",
+    /** @type {number} Internal state of the seeded random generator */
+    rngState: 0,
 
     // Boss-related state
     /** @type {Object|null} Current boss data */
@@ -247,6 +336,8 @@ export const useGameStore = defineStore("game", {
     remainingBossRolls: 0,
     /** @type {number|null} Boss's last roll */
     bossLastRoll: null,
+    /** @type {number|null} Damage of the boss's last counter-attack */
+    bossLastAttack: null,
     /** @type {number|null} Current boss HP */
     currentBossHP: null,
     /** @type {number|null} Boss's maximum HP */
@@ -265,22 +356,62 @@ export const useGameStore = defineStore("game", {
     bribesBosses: 0,
     /** @type {boolean} Whether to show summary modal */
     showSummaryModal: false,
+    /** @type {import("../utils/campaigns").Campaign} Campaign the run is played on */
+    campaign: DEFAULT_CAMPAIGN,
     /** @type {StageConfig} Current stage configuration */
     currentStageConfig: STAGE_CONFIGS[1],
+    /** @type {string[]} Ids of the plugins changing the rules of the run, see utils/plugins */
+    plugins: [],
+    /** @type {number} Difficulty stake of the run, see utils/stakes */
+    stake: 0,
+    /** @type {boolean} Whether the run goes on past the campaign, see utils/endless */
+    endless: false,
   }),
 
   getters: {
+    /**
+     * Banner message: the events logged since the last announcement, quiet ones left out
+     * @returns {string} Message to display
+     */
+    gameMessage(state) {
+      return state.events
+        .filter((event) => event.id >= state.bannerStartId && !event.quiet)
+        .map(describeEvent)
+        .join(" ");
+    },
+
+    /**
+     * Stage configs of the campaign being played, with the modifiers of the run's stake,
+     * keyed by stage number. Endless runs add the generated stages up to the current one.
+     * @returns {Object.<number, StageConfig>} Stage configs
+     */
+    stageConfigs(state) {
+      const stageConfigs = campaignToStageConfigs(state.campaign);
+      if (state.endless) {
+        const stages = Object.values(stageConfigs);
+        for (let stage = stages.length + 1; stage <= state.playerStage; stage++) {
+          stageConfigs[stage] = generateEndlessStage(stages, stage, state.seed);
+        }
+      }
+      return applyStake(stageConfigs, state.stake);
+    },
+
+    /**
+     * Number of stages (and bosses) in the campaign being played
+     * @returns {number} Stage count, Infinity in endless mode
+     */
+    maxStages(state) {
+      return state.endless ? Infinity : state.campaign.stages.length;
+    },
+
     /**
      * Calculates the total number of squares on the board perimeter
      * @returns {number} Total number of squares on the board
      */
     totalBoardSquares() {
       const config = this.currentStageConfig;
-      if (!config || !config.rows || !config.cols) return 0;
-      const R = config.rows;
-      const C = config.cols;
-      if (R <= 1 || C <= 1) return R * C;
-      return 2 * R + 2 * C - 4;
+      if (!config) return 0;
+      return countPerimeterSquares(config.rows, config.cols);
     },
 
     /**
@@ -289,11 +420,8 @@ export const useGameStore = defineStore("game", {
      */
     cornerSquareIds() {
       const config = this.currentStageConfig;
-      if (!config || !config.rows || !config.cols || config.rows <= 1 || config.cols <= 1)
-        return [];
-      const R = config.rows;
-      const C = config.cols;
-      return [0, R - 1, R - 1 + (C - 1), R - 1 + (C - 1) + (R - 1)];
+      if (!config) return [];
+      return getCornerSquareIds(config.rows, config.cols);
     },
 
     /**
@@ -327,12 +455,125 @@ export const useGameStore = defineStore("game", {
       return HUGE_MONEY_AMOUNT_BASE * state.playerStage;
     },
 
+    /**
+     * Scales merchant prices with the stage number and its money multiplier
+     * @returns {number} Factor applied to every base shop price
+     */
+    shopPriceFactor(state) {
+      const multiplier = state.currentStageConfig?.moneyMultiplier || 1;
+      return multiplier * (1 + 0.25 * (state.playerStage - 1));
+    },
+
+    /**
+     * Gets the bail needed to leave prison at the current stage
+     * @returns {number} Bail in coins
+     */
+    jailBailCost(state) {
+      return JAIL_BAIL_PER_STAGE * state.playerStage;
+    },
+
+    /**
+     * Gets the minimum escape roll so the UI can show it
+     * @returns {number} Minimum d6 result to escape
+     */
+    jailEscapeRoll(state) {
+      return state.relics.includes("master_key") ? MASTER_KEY_ESCAPE_ROLL : JAIL_ESCAPE_ROLL;
+    },
+
+    /**
+     * Gets the bribe for the current boss, after the Royal Seal discount
+     * @returns {number|null} Bribe in coins, or null when there is no boss
+     */
+    bossBribeCost(state) {
+      if (!state.currentBoss || state.currentBoss.bribeCost == null) return null;
+      const bribe = Number(state.currentBoss.bribeCost);
+      return state.relics.includes("royal_seal")
+        ? Math.round(bribe * (1 - ROYAL_SEAL_DISCOUNT))
+        : bribe;
+    },
+
+    /**
+     * Gets the faces of the die the current boss counter-attacks with
+     * @returns {number} Faces of the attack die, 0 when the boss does not attack
+     */
+    bossAttack(state) {
+      return state.currentBoss?.attack ?? DEFAULT_BOSS_ATTACK;
+    },
+
+    /**
+     * Lists every relic with whether the active player owns it, for the tracker panel
+     * @returns {Array<import("../utils/relics").Relic & {owned: boolean}>} Relic entries
+     */
+    relicTracker(state) {
+      return RELICS.map((relic) => ({ ...relic, owned: state.relics.includes(relic.id) }));
+    },
+
+    /**
+     * Counts the dice in the bag that can still be thrown (the Warden locks some)
+     * @returns {number} Number of unlocked dice
+     */
+    usableReservedDiceCount(state) {
+      return state.reservedDice.filter((die) => !die.locked).length;
+    },
+
     /**
      * Gets the display string for dice bag capacity
      * @returns {string} String showing current/max dice capacity
      */
-    diceBagCapacityDisplay(state) {
-      return `${state.reservedDice.length}/${state.maxDiceInBag}`;
+    diceBagCapacityDisplay() {
+      return `${this.reservedDice.length}/${this.diceBagCapacity}`;
+    },
+
+    /**
+     * Gets how many dice the bag holds right now, including the Mochila Grande boost
+     * @returns {number} Bag capacity
+     */
+    diceBagCapacity(state) {
+      const extraSlots = hasBoost(state, "bigger_bag") ? getBoost("bigger_bag").value : 0;
+      return state.maxDiceInBag + extraSlots;
+    },
+
+    /**
+     * Lists the active boosts with their display data, for the badges in the info panel
+     * @returns {Array<import("../utils/boosts").Boost & {lapsRemaining: number}>} Boost badges
+     */
+    boostBadges(state) {
+      return state.activeBoosts.map((active) => ({
+        ...getBoost(active.id),
+        lapsRemaining: active.lapsRemaining,
+      }));
+    },
+
+    /**
+     * Gets the record of the player whose turn it is
+     * @returns {import("../utils/players").PlayerRecord|null} Active player record
+     */
+    activePlayer(state) {
+      return state.players[state.currentPlayerIndex] || null;
+    },
+
+    /**
+     * Whether the run is a hot-seat game with more than one player
+     * @returns {boolean} True for 2 to 4 players
+     */
+    isMultiplayer(state) {
+      return state.players.length > 1;
+    },
+
+    /**
+     * Gets every player with up-to-date values; the active player's record is stale until
+     * their turn ends, so its fields are read from the store instead
+     * @returns {import("../utils/players").PlayerRecord[]} Player summaries in turn order
+     */
+    playerSummaries(state) {
+      return state.players.map((player, index) => {
+        if (index !== state.currentPlayerIndex) return player;
+        const live = { ...player };
+        PLAYER_STATE_FIELDS.forEach((field) => {
+          live[field] = state[field];
+        });
+        return live;
+      });
     },
 
     /**
@@ -349,6 +590,55 @@ export const useGameStore = defineStore("game", {
   },
 
   actions: {
+    /**
+     * Adds an event to the feed of the run; the banner message shows it unless it is quiet
+     * @param {string} type - Event type, see GAME_EVENT_TYPES
+     * @param {string} key - i18n key of the message
+     * @param {Object.<string, *>} [params] - Placeholders of the message
+     * @param {Object} [details] - Typed details: money, hp, die, damage, quiet
+     * @returns {import("../utils/gameEvents").GameEvent} The logged event
+     */
+    logEvent(type, key, params = {}, details = {}) {
+      const event = {
+        id: (this.events[this.events.length - 1]?.id ?? 0) + 1,
+        type,
+        key,
+        params,
+        player: this.currentPlayerIndex,
+        stage: this.playerStage,
+        lap: this.playerLap,
+        ...details,
+      };
+      this.events.push(event);
+      if (this.events.length > MAX_GAME_EVENTS) {
+        this.events.splice(0, this.events.length - MAX_GAME_EVENTS);
+      }
+      return event;
+    },
+
+    /**
+     * Logs an event that starts a new banner message; the events logged before it stay in the
+     * feed but leave the banner
+     * @param {string} type - Event type, see GAME_EVENT_TYPES
+     * @param {string} key - i18n key of the message
+     * @param {Object.<string, *>} [params] - Placeholders of the message
+     * @param {Object} [details] - Typed details, see `logEvent`
+     * @returns {import("../utils/gameEvents").GameEvent} The logged event
+     */
+    announce(type, key, params = {}, details = {}) {
+      const event = this.logEvent(type, key, params, details);
+      this.bannerStartId = event.id;
+      return event;
+    },
+
+    /**
+     * Empties the event feed, for a new run
+     */
+    clearEvents() {
+      this.events = [];
+      this.bannerStartId = 1;
+    },
+
     /**
      * Toggles the animation speed between normal, fast, and instant
      * Updates the game message to reflect the current speed
@@ -357,13 +647,15 @@ export const useGameStore = defineStore("game", {
       if (this.animationSpeedMultiplier === 1) this.animationSpeedMultiplier = 2;
       else if (this.animationSpeedMultiplier === 2) this.animationSpeedMultiplier = 0;
       else this.animationSpeedMultiplier = 1;
-      this.gameMessage = `Animation speed: ${
-        this.animationSpeedMultiplier === 0
-          ? "Instant"
-          : this.animationSpeedMultiplier === 2
-          ? "Faster"
-          : "Normal"
-      }`;
+      this.announce("info", "game.animationSpeed", {
+        speed: t(
+          this.animationSpeedMultiplier === 0
+            ? "speed.instant"
+            : this.animationSpeedMultiplier === 2
+            ? "speed.faster"
+            : "speed.normal"
+        ),
+      });
     },
 
     /**
@@ -376,18 +668,60 @@ export const useGameStore = defineStore("game", {
       return baseDuration / this.animationSpeedMultiplier;
     },
 
+    /**
+     * Seeds the random generator used for every board, offer and roll
+     * Two runs started with the same seed play out identically given the same actions
+     * @param {string|number} [seed] - Seed to use; a new one is generated when omitted
+     */
+    setSeed(seed) {
+      this.seed = seed != null && String(seed).trim() !== "" ? String(seed).trim() : generateSeed();
+      this.rngState = hashSeed(this.seed);
+    },
+
     /**
      * Initializes a new game session
      * Sets up initial game state and loads the first stage
+     * @param {Object} [options] - Options for the new run
+     * @param {string} [options.seed] - Seed for the random generator
+     * @param {string[]} [options.playerNames] - Names of the hot-seat players (1 to 4)
+     * @param {import("../utils/campaigns").Campaign} [options.campaign] - Campaign to play,
+     *   the bundled one when omitted
+     * @param {string[]} [options.plugins] - Ids of the plugins changing the rules of the run
+     * @param {number} [options.stake] - Difficulty stake, the base one when omitted
+     * @param {boolean} [options.endless] - Keep playing generated stages after the campaign
      */
-    initializeGame() {
+    initializeGame(options = {}) {
       console.log("Store: initializeGame - STARTED");
+      this.setSeed(options.seed);
+      const names = options.playerNames?.length
+        ? options.playerNames.slice(0, MAX_PLAYERS)
+        : [defaultPlayerName()];
+      this.players = names.map((name, index) => createPlayer(name, index));
+      this.currentPlayerIndex = 0;
+      this.campaign = JSON.parse(JSON.stringify(options.campaign ?? DEFAULT_CAMPAIGN));
+      this.plugins = [...(options.plugins ?? [])];
+      this.stake = options.stake ?? 0;
+      this.maxDiceInBag = getStakeBagSize(this.stake, MAX_RESERVED_DICE);
+      this.endless = !!options.endless;
       this.assetsLoaded = true; // Assuming assets are ready (preloading on hold)
       this.playerStage = 1;
+      this.currentStageConfig = this.stageConfigs[1];
       this.isGameOver = false;
       this.isAnimating = false;
       this.reservedDice = [];
       this.playerMoney = 0; // Reset money for a new game
+      this.totalRolls = 0;
+      this.diceObtained = 0;
+      this.bossesDefeated = 0;
+      this.perfectBossDefeats = 0;
+      this.bribesBosses = 0;
+      this.currentBoss = null;
+      this.currentDiceThrows = [];
+      this.remainingBossRolls = 0;
+      this.gameOverCause = null;
+      this.showSummaryModal = false;
+      this.clearEvents();
+      this.loadPlayer(0);
       this.setupStage();
       if (this.gamePhase !== "awaiting_choice") {
         this.gamePhase = "rolling";
@@ -418,7 +752,11 @@ export const useGameStore = defineStore("game", {
 
       this.generateBoardLayout();
       this.setupLapEffects();
-      this.gameMessage = `Stage ${this.playerStage} - Lap ${this.playerLap}/${config.lapsToComplete}. Roll the die!`;
+      this.logEvent("stage", "game.stageLap", {
+        stage: this.playerStage,
+        lap: this.playerLap,
+        laps: config.lapsToComplete,
+      });
       this.gamePhase = "rolling";
       this.isAnimating = false; // Ensure ready for input
       console.log("Store: setupStage - FINISHED. Phase:", this.gamePhase);
@@ -429,24 +767,7 @@ export const useGameStore = defineStore("game", {
      * Creates and positions squares on the board perimeter
      */
     generateBoardLayout() {
-      const totalSquares = this.totalBoardSquares;
-      const corners = this.cornerSquareIds;
-      const brCornerId = this.bottomRightCornerId;
-      const newLayout = [];
-      for (let i = 0; i < totalSquares; i++) {
-        let baseType = "normal";
-        if (i === corners[0]) baseType = "start";
-        else if (i === corners[1]) baseType = "corner_bl";
-        else if (i === brCornerId) baseType = "corner_br";
-        else if (i === corners[3]) baseType = "corner_tr";
-        newLayout.push({
-          id: i,
-          baseType,
-          currentEffectType: "none",
-          isTempBad: false,
-          effectDetails: null,
-        });
-      }
+      const newLayout = createPerimeterSquares(this.boardRows, this.boardCols);
       this.boardSquares = newLayout;
       console.log("Store: Board layout generated with squares:", this.boardSquares.length);
     },
@@ -467,11 +788,15 @@ export const useGameStore = defineStore("game", {
           sq.effectDetails = null;
         }
       });
+      if (config.board && !config.board.randomLaps.includes(this.playerLap)) {
+        this.applyBoardEffects(config.board);
+        return;
+      }
       const squareIdToIndexMap = new Map(this.boardSquares.map((sq, index) => [sq.id, index]));
       let availableCandidateIds = [...this.candidateSquareIds];
-      shuffleArray(availableCandidateIds);
+      shuffleArray(this, availableCandidateIds);
 
-      const numBadSquares = getRandomInt(config.minBadSquares, config.maxBadSquares);
+      const numBadSquares = getRandomInt(this, config.minBadSquares, config.maxBadSquares);
       for (let i = 0; i < numBadSquares; i++) {
         if (availableCandidateIds.length === 0) break;
         const badId = availableCandidateIds.pop();
@@ -479,10 +804,11 @@ export const useGameStore = defineStore("game", {
         if (square) {
           square.isTempBad = true;
           square.currentEffectType = "temp_bad_lap";
-          square.effectDetails = { penalty: getRandomInt(5, 15) * this.playerStage };
+          square.effectDetails = { penalty: getRandomInt(this, 5, 15) * this.playerStage };
         }
       }
       const numChoiceDiceMoney = getRandomInt(
+        this,
         config.minChoiceDiceMoneySquares,
         config.maxChoiceDiceMoneySquares
       );
@@ -493,6 +819,7 @@ export const useGameStore = defineStore("game", {
         if (square) square.currentEffectType = "choice_dice_money";
       }
       const numChoicePickDie = getRandomInt(
+        this,
         config.minChoicePickDieSquares,
         config.maxChoicePickDieSquares
       );
@@ -502,25 +829,112 @@ export const useGameStore = defineStore("game", {
         const square = this.boardSquares[squareIdToIndexMap.get(pickId)];
         if (square) square.currentEffectType = "choice_pick_die";
       }
+      // Relics are rare: at most one per lap, and only while someone still misses one
+      const relicsLeft = this.playerSummaries.some((player) => !hasAllRelics(player.relics));
+      if (relicsLeft && availableCandidateIds.length > 0 && random(this) < RELIC_SQUARE_CHANCE) {
+        const relicId = availableCandidateIds.pop();
+        const square = this.boardSquares[squareIdToIndexMap.get(relicId)];
+        if (square) square.currentEffectType = "relic";
+      }
       availableCandidateIds.forEach((id) => {
         const square = this.boardSquares[squareIdToIndexMap.get(id)];
         if (square) {
-          const rand = Math.random();
+          const rand = random(this);
           if (rand < 0.15) {
             square.currentEffectType = "huge_money";
             square.effectDetails = { amount: this.currentHugeMoneyValue };
           } else {
             square.currentEffectType = "normal_money";
             square.effectDetails = {
-              amount: Math.floor(getRandomInt(1, 3) * config.moneyMultiplier),
+              // Never 0, even when a stake lowers the multiplier below 1
+              amount: Math.max(1, Math.floor(getRandomInt(this, 1, 3) * config.moneyMultiplier)),
             };
           }
         }
       });
-      this.gameMessage = `Lap ${this.playerLap} board effects are set!`;
+      this.logEvent("info", "game.lapEffectsSet", { lap: this.playerLap }, { quiet: true });
       console.log("Store: setupLapEffects - FINISHED.");
     },
 
+    /**
+     * Paints the squares of a hand-designed board for the current lap
+     * @param {import("../utils/boardLayouts").StageBoard} board - Board from the stage config
+     */
+    applyBoardEffects(board) {
+      board.squares.forEach((designed) => {
+        const square = this.boardSquares.find((sq) => sq.id === designed.id);
+        if (!square || square.baseType !== "normal") return;
+        square.currentEffectType = designed.effectType;
+        square.effectDetails = designed.effectDetails ? { ...designed.effectDetails } : null;
+        square.isTempBad = designed.effectType === "temp_bad_lap";
+      });
+      this.logEvent("info", "game.lapEffectsSet", { lap: this.playerLap }, { quiet: true });
+      console.log("Store: applyBoardEffects - Designed board applied for Lap", this.playerLap);
+    },
+
+    /**
+     * Copies the active player's fields from the store back into their record
+     */
+    stashActivePlayer() {
+      const player = this.activePlayer;
+      if (!player) return;
+      PLAYER_STATE_FIELDS.forEach((field) => {
+        player[field] = JSON.parse(JSON.stringify(this[field]));
+      });
+    },
+
+    /**
+     * Makes a player the active one, loading their fields into the store
+     * @param {number} index - Index of the player in `players`
+     */
+    loadPlayer(index) {
+      const player = this.players[index];
+      if (!player) return;
+      this.currentPlayerIndex = index;
+      PLAYER_STATE_FIELDS.forEach((field) => {
+        this[field] = JSON.parse(JSON.stringify(player[field]));
+      });
+    },
+
+    /**
+     * Passes the turn to the next player who is still playing the current stage
+     * Does nothing in single-player runs
+     */
+    endTurn() {
+      if (!this.isMultiplayer || this.isGameOver) return;
+      this.stashActivePlayer();
+      const count = this.players.length;
+      for (let offset = 1; offset <= count; offset++) {
+        const index = (this.currentPlayerIndex + offset) % count;
+        if (this.players[index].status === "playing") {
+          this.loadPlayer(index);
+          this.gamePhase = this.jailTurnsRemaining > 0 ? "jailed" : "rolling";
+          this.logEvent("info", "game.playerTurn", { name: this.players[index].name });
+          return;
+        }
+      }
+    },
+
+    /**
+     * Puts every player still in the run back at the start for a new stage
+     * and hands the turn to the first of them
+     */
+    resetPlayersForStage() {
+      this.stashActivePlayer();
+      let firstIndex = -1;
+      this.players.forEach((player, index) => {
+        if (player.status === "eliminated") return;
+        player.status = "playing";
+        player.playerPosition = 0;
+        player.lastPlayerPositionBeforeThisMove = 0;
+        player.playerLap = 1;
+        player.lastDiceRoll = null;
+        player.jailTurnsRemaining = 0;
+        if (firstIndex === -1) firstIndex = index;
+      });
+      if (firstIndex !== -1) this.loadPlayer(firstIndex);
+    },
+
     /**
      * Adds a die to the player's reserved dice bag
      * @param {Object} dieData - Data for the die to add
@@ -532,17 +946,25 @@ export const useGameStore = defineStore("game", {
 
       const signature = JSON.stringify(dieData);
 
-      if (this.reservedDice.length < this.maxDiceInBag) {
+      if (this.reservedDice.length < this.diceBagCapacity) {
         this.reservedDice.push(dieData);
         this.diceObtained++;
-        this.gameMessage = `🎁 Obtuviste un dado: ${dieData.type}${
-          dieData.value ? " (" + dieData.value + ")" : ""
-        }`;
+        this.announce(
+          "die_gained",
+          "game.dieObtained",
+          { die: describeDie(dieData) },
+          { die: dieData }
+        );
         console.log(
           `addReservedDie: Añadido ${signature}. Bolsa actual: ${this.reservedDice.length}`
         );
       } else {
-        this.gameMessage = `🎒 Bolsa de dados llena (${this.maxDiceInBag})! No se añadió ${dieData.type}.`;
+        this.announce(
+          "die_lost",
+          "game.bagFullDieLost",
+          { capacity: this.diceBagCapacity, die: describeDie(dieData) },
+          { die: dieData }
+        );
         console.warn("addReservedDie: Bolsa llena. Dado ignorado.");
       }
     },
@@ -553,32 +975,51 @@ export const useGameStore = defineStore("game", {
      * @returns {Promise<void>}
      */
     async rollDice(reservedDieIndex = -1) {
+      if (this.gamePhase === "jailed") {
+        await this.attemptJailEscape();
+        return;
+      }
       if (this.gamePhase === "boss_encounter") {
         if (this.remainingBossRolls <= 0) return;
 
-        const roll = Math.ceil(Math.random() * 6);
+        const normalDie = { type: DICE_TYPES.NORMAL };
+        const thrown = getDieDefinition(normalDie.type).bossDamage(
+          this.applyRollBonuses(rollPlayerDie(this, normalDie, "boss").value, normalDie.type),
+          normalDie
+        );
+        this.remainingBossRolls--;
+        this.totalRolls++;
+        this.announce(
+          "boss_throw",
+          "boss.normalThrow",
+          { roll: thrown, remaining: this.remainingBossRolls },
+          { die: normalDie }
+        );
+        const roll = this.resolveBossDamage(thrown, normalDie);
         this.bossLastRoll = roll;
-        setTimeout(() => {
+        afterDelay(this, () => {
           this.bossLastRoll = null;
         }, 1000);
 
         this.currentDiceThrows.push(roll);
-        this.remainingBossRolls--;
-        this.totalRolls++;
-        this.gameMessage = `Lanzaste un ${roll}. Quedan ${this.remainingBossRolls} intento(s).`;
 
         this.applyBossDamage(roll);
+        this.applyBossMechanic(roll);
 
-        const total = this.currentDiceThrows.reduce((a, b) => a + b, 0);
-
-        // ✅ Derrotar inmediatamente si se alcanza la suma
-        if (total >= this.currentBoss.hp) {
+        // ✅ Derrotar inmediatamente si se agota la vida del jefe
+        if (this.currentBossHP <= 0) {
           await this.defeatBoss();
           return;
         }
 
+        this.bossCounterAttack();
+        if (this.playerHP <= 0) {
+          await this.playerDies();
+          return;
+        }
+
         // Solo fallar si no alcanzaste y ya no puedes lanzar más dados
-        if (this.remainingBossRolls === 0 && this.reservedDice.length === 0) {
+        if (this.remainingBossRolls === 0 && this.usableReservedDiceCount === 0) {
           await this.failBossFight();
         }
 
@@ -604,42 +1045,16 @@ export const useGameStore = defineStore("game", {
         dieToRoll = { type: DICE_TYPES.NORMAL };
         originalTypeForLastRoll = DICE_TYPES.NORMAL;
       }
-      this.gameMessage = `Rolling a ${originalTypeForLastRoll} die...`;
-      await new Promise((resolve) =>
-        setTimeout(resolve, this.getAnimationDelay(this.diceRollAnimationBaseDuration))
-      );
-      let steps;
-      switch (dieToRoll.type) {
-        case DICE_TYPES.NORMAL:
-          steps = getRandomInt(1, 6);
-          break;
-        case DICE_TYPES.FIXED:
-          steps = dieToRoll.value || 1;
-          break;
-        case DICE_TYPES.D20:
-          steps = getRandomInt(1, 20);
-          break;
-        case DICE_TYPES.REVERSE_FIXED:
-          steps = -(dieToRoll.value || 1);
-          break;
-        case DICE_TYPES.REVERSE_RANDOM:
-          steps = -getRandomInt(1, 6);
-          break;
-        default:
-          steps = getRandomInt(1, 6);
-      }
+      this.announce("info", "game.rolling", { die: describeDie(dieToRoll) }, { die: dieToRoll });
+      await wait(this, this.getAnimationDelay(this.diceRollAnimationBaseDuration));
+      const { value, direction } = rollPlayerDie(this, dieToRoll, "board");
+      const steps = direction * this.applyRollBonuses(value, dieToRoll.type);
       this.showDieRoll(Math.abs(steps));
 
-      let effectiveTypeForImage = originalTypeForLastRoll;
-      if (steps < 0) {
-        if (originalTypeForLastRoll === DICE_TYPES.NORMAL)
-          effectiveTypeForImage = DICE_TYPES.REVERSE_RANDOM;
-        else if (originalTypeForLastRoll === DICE_TYPES.FIXED)
-          effectiveTypeForImage = DICE_TYPES.REVERSE_FIXED;
-      }
       this.lastDiceRoll = {
         value: Math.abs(steps),
-        type: effectiveTypeForImage,
+        type: dieToRoll.type,
+        faces: dieToRoll.faces,
         originalType: originalTypeForLastRoll,
         direction: steps >= 0 ? "forward" : "backward",
       };
@@ -647,6 +1062,19 @@ export const useGameStore = defineStore("game", {
       await this.movePlayer(steps);
     },
 
+    /**
+     * Adds the relic and boost bonuses to a die result
+     * @param {number} value - Raw result of the die (always positive)
+     * @param {string} dieType - Type of the die, see DICE_TYPES
+     * @returns {number} Result after bonuses
+     */
+    applyRollBonuses(value, dieType) {
+      let bonus = 0;
+      if (dieType === DICE_TYPES.FIXED && this.relics.includes("anvil")) bonus += 1;
+      if (hasBoost(this, "dice_plus_one")) bonus += getBoost("dice_plus_one").value;
+      return value + bonus;
+    },
+
     /**
      * Displays the result of a die roll with visual feedback
      * @param {number} number - The number rolled
@@ -654,7 +1082,7 @@ export const useGameStore = defineStore("game", {
     showDieRoll(number) {
       this.lastGeneralRoll = number;
       this.showGeneralRollAnimation = true;
-      setTimeout(() => {
+      afterDelay(this, () => {
         this.showGeneralRollAnimation = false;
       }, 1000); // dura lo mismo que `pop-in`
     },
@@ -667,10 +1095,11 @@ export const useGameStore = defineStore("game", {
     async movePlayer(steps) {
       this.gamePhase = "player_moving_animation"; // Player is now "walking"
       let moneyEarnedThisTurn = 0;
+      ({ steps } = runHook(this, "beforeMove", { steps }));
       const totalStepsToTake = Math.abs(steps);
       const direction = steps > 0 ? 1 : -1;
       let passedStartThisTurn = false;
-      this.gameMessage = `Player moving ${totalStepsToTake} steps...`;
+      this.announce("info", "game.moving", { steps: totalStepsToTake });
       this.lastPlayerPositionBeforeThisMove = this.playerPosition;
 
       for (let i = 0; i < totalStepsToTake; i++) {
@@ -684,9 +1113,17 @@ export const useGameStore = defineStore("game", {
             this.playerLap++;
             console.log("Store: movePlayer - Passed Start. New Lap:", this.playerLap);
 
-            this.gameMessage = `Completed a lap! Now on Lap ${this.playerLap}/${this.currentStageConfig.lapsToComplete}.`;
+            this.logEvent("lap", "game.lapCompleted", {
+              lap: this.playerLap,
+              laps: this.currentStageConfig.lapsToComplete,
+            });
+            this.tickBoosts();
+            runHook(this, "onLapComplete", {
+              lap: this.playerLap,
+              laps: this.currentStageConfig.lapsToComplete,
+            });
 
-            await new Promise((resolve) => setTimeout(resolve, this.getAnimationDelay(1000)));
+            await wait(this, this.getAnimationDelay(1000));
 
             if (this.playerLap === this.currentStageConfig.lapsToComplete) {
               this.gamePhase = "boss_encounter";
@@ -695,41 +1132,28 @@ export const useGameStore = defineStore("game", {
               return;
             } else {
               this.setupLapEffects();
-              await new Promise((resolve) => setTimeout(resolve, this.getAnimationDelay(500)));
+              await wait(this, this.getAnimationDelay(500));
             }
 
             break; // Detener movimiento justo al pisar la casilla 0
           }
 
           // Si no es la casilla 0, evalúa efectos normales
-          const currentSq = this.boardSquares[this.playerPosition];
-          if (
-            currentSq &&
-            currentSq.currentEffectType === "normal_money" &&
-            currentSq.effectDetails?.amount
-          ) {
-            const amount = currentSq.effectDetails.amount;
-            this.playerMoney += amount;
-            moneyEarnedThisTurn += amount;
-          }
+          moneyEarnedThisTurn += payPassedSquare(this, direction);
         } else {
           this.playerPosition =
             (this.playerPosition - 1 + this.totalBoardSquares) % this.totalBoardSquares;
+          moneyEarnedThisTurn += payPassedSquare(this, direction);
         }
 
-        await new Promise((resolve) =>
-          setTimeout(resolve, this.getAnimationDelay(this.playerStepBaseDuration))
-        );
+        await wait(this, this.getAnimationDelay(this.playerStepBaseDuration));
       }
 
       // --- After movement animation is complete ---
-      let landedMessage = "";
-
       if (passedStartThisTurn) {
-        this.gameMessage = `Completed a lap! Now on Lap ${this.playerLap}/${this.currentStageConfig.lapsToComplete}.`;
         console.log("Store: movePlayer - Lap completed processing. Current Lap:", this.playerLap);
 
-        await new Promise((resolve) => setTimeout(resolve, this.getAnimationDelay(1000)));
+        await wait(this, this.getAnimationDelay(1000));
 
         if (this.playerLap === this.currentStageConfig.lapsToComplete) {
           this.gamePhase = "boss_encounter";
@@ -738,19 +1162,18 @@ export const useGameStore = defineStore("game", {
           return; // Detener aquí mismo tras comenzar encuentro con el jefe
         } else {
           this.setupLapEffects();
-          await new Promise((resolve) => setTimeout(resolve, this.getAnimationDelay(500)));
+          await wait(this, this.getAnimationDelay(500));
         }
       }
 
       this.gamePhase = "landed"; // Player has landed, sprite should go to idle
 
-      landedMessage = `Landed on square ${this.playerPosition}.`;
+      this.logEvent("info", "game.landed", { square: this.playerPosition });
       if (moneyEarnedThisTurn > 0 && direction > 0) {
-        landedMessage += ` Earned $${moneyEarnedThisTurn} this turn.`;
+        // Sum of the quiet money events of the move, the money itself is already logged
+        this.logEvent("info", "game.earnedThisTurn", { amount: moneyEarnedThisTurn });
       }
 
-      this.gameMessage = (this.gameMessage + " " + landedMessage).trim();
-
       console.log(
         "Store: movePlayer - Before handleSquareLanding. Phase:",
         this.gamePhase,
@@ -766,13 +1189,24 @@ export const useGameStore = defineStore("game", {
         this.isAnimating
       );
 
+      if (this.playerHP <= 0) {
+        this.isAnimating = false;
+        await this.playerDies();
+        return;
+      }
+
       if (this.gamePhase === "awaiting_choice") {
         this.isAnimating = false;
         console.log("Store: movePlayer - Ended in awaiting_choice. isAnimating set to false.");
+      } else if (this.gamePhase === "jailed") {
+        this.isAnimating = false;
+        console.log("Store: movePlayer - Ended in prison. isAnimating set to false.");
+        this.endTurn();
       } else if (this.gamePhase !== "boss_encounter_intro" && !this.isGameOver) {
         this.gamePhase = "rolling";
         this.isAnimating = false;
         console.log("Store: movePlayer - Ended, phase set to rolling. isAnimating set to false.");
+        this.endTurn();
       } else if (this.isGameOver) {
         this.isAnimating = false;
         console.log("Store: movePlayer - Ended, game is over. isAnimating set to false.");
@@ -780,35 +1214,56 @@ export const useGameStore = defineStore("game", {
     },
 
     /**
-     * Highlights a square that would be landed on by a specific die
+     * Previews where a die can take the player: landing chances, walked squares and the
+     * average money of the move. Fixed dice also highlight their only target square.
      * @param {Object} die - The die object to simulate rolling
      */
     highlightSquareForDie(die) {
-      if (!die || !this.boardSquares.length) {
-        this.highlightedTargetSquare = null;
+      if (!die || !this.boardSquares.length || this.gamePhase !== "rolling") {
+        this.clearHighlightedSquare();
         return;
       }
 
-      const nonPredictableTypes = ["normal", "d20", "reverse_random"];
-      const type = die.type?.toLowerCase?.();
-
-      if (!die.value || nonPredictableTypes.includes(type)) {
-        this.highlightedTargetSquare = null;
-        return;
-      }
-
-      const steps = type.includes("reverse") ? -die.value : die.value;
-      const total = this.boardSquares.length;
-      const target = (this.playerPosition + steps + total) % total;
+      this.movePreview = this.previewDieMove(die);
+      const landingIds = Object.keys(this.movePreview.landingChances).map(Number);
+      this.highlightedTargetSquare = landingIds.length === 1 ? landingIds[0] : null;
+    },
 
-      this.highlightedTargetSquare = target;
+    /**
+     * Computes where a die can take the player from the current square, with every relic and
+     * boost bonus applied. Used by the hover preview and by the autopilot.
+     * @param {Object} die - The die object to simulate rolling
+     * @returns {import("../utils/movePreview").MovePreview} Preview of the move
+     */
+    previewDieMove(die) {
+      const definition = getDieDefinition(die.type);
+      const faces = definition.faces(die).filter((face) => face.weight > 0);
+      const totalWeight = faces.reduce((sum, face) => sum + face.weight, 0);
+      const idolBonus = this.relics.includes("golden_idol") ? 1 : 0;
+      const moneyMultiplier = hasBoost(this, "money_multiplier")
+        ? getBoost("money_multiplier").value
+        : 1;
+      return previewMove({
+        squares: this.boardSquares,
+        start: this.playerPosition,
+        outcomes: faces.map((face) => ({
+          steps: definition.direction * this.applyRollBonuses(face.value, die.type),
+          chance: face.weight / totalWeight,
+        })),
+        lap: this.playerLap,
+        lapsToComplete: this.currentStageConfig.lapsToComplete,
+        passMoney: (square) => (square.effectDetails.amount + idolBonus) * moneyMultiplier,
+        trapsAreHarmless: hasBoost(this, "trap_immunity"),
+        hugeMoneyValue: this.currentHugeMoneyValue,
+      });
     },
 
     /**
-     * Clears any highlighted squares on the board
+     * Clears any highlighted squares and the move preview
      */
     clearHighlightedSquare() {
       this.highlightedTargetSquare = null;
+      this.movePreview = null;
     },
 
     /**
@@ -831,11 +1286,55 @@ export const useGameStore = defineStore("game", {
       this.currentBoss = null;
       this.gamePhase = "rolling";
       this.isGameOver = false;
+      this.gameOverCause = null;
       this.showSummaryModal = false;
-      this.currentStageConfig = STAGE_CONFIGS[1];
+      this.clearEvents();
+      this.currentStageConfig = this.stageConfigs[1];
+      // Same seats and names, fresh state for everyone
+      const names = this.players.length
+        ? this.players.map((p) => p.name)
+        : [defaultPlayerName()];
+      this.players = names.map((name, index) => createPlayer(name, index));
+      this.loadPlayer(0);
+      this.setSeed(); // A restarted run gets a fresh seed
       this.setupStage(); // Reinitialize the stage
     },
 
+    /**
+     * Captures the resumable part of the current run
+     * @returns {import("../utils/saveGame").RunSnapshot} Versioned snapshot of the run
+     */
+    toSnapshot() {
+      return buildSnapshot(this);
+    },
+
+    /**
+     * Restores a run from a snapshot, including pending choices and boss fights
+     * @param {import("../utils/saveGame").RunSnapshot} snapshot - Snapshot to restore
+     * @returns {boolean} Whether the snapshot was restored
+     */
+    restoreSnapshot(snapshot) {
+      if (!isValidSnapshot(snapshot)) {
+        console.warn("Store: restoreSnapshot - Invalid snapshot.", snapshot);
+        return false;
+      }
+      const state = JSON.parse(JSON.stringify(snapshot.state));
+      SNAPSHOT_FIELDS.forEach((field) => {
+        if (field in state) this[field] = state[field];
+      });
+      // Animations are not saved, so a run never resumes halfway through one
+      const transientPhases = ["dice_rolling_animation", "player_moving_animation", "landed"];
+      if (transientPhases.includes(this.gamePhase)) this.gamePhase = "rolling";
+      this.isAnimating = false;
+      this.assetsLoaded = true;
+      this.highlightedTargetSquare = null;
+      this.movePreview = null;
+      this.bossLastRoll = null;
+      this.showSummaryModal = this.isGameOver;
+      console.log("Store: restoreSnapshot - FINISHED. Phase:", this.gamePhase);
+      return true;
+    },
+
     /**
      * Handles the effects when a player lands on a square
      * Processes square effects and updates game state accordingly
@@ -860,26 +1359,46 @@ export const useGameStore = defineStore("game", {
         return;
       }
       const square = this.boardSquares[this.playerPosition];
-      let effectAppliedMessage = "";
+      runHook(this, "onLand", { square });
       console.log(
         "Store: handleSquareLanding - Processing square:",
         JSON.parse(JSON.stringify(square))
       );
+      if (square.baseType === "corner_bl" || square.baseType === "corner_tr") {
+        this.openShop();
+        this.logEvent("info", "shop.title", { money: this.playerMoney });
+      }
       if (square.baseType === "corner_br") {
-        this.playerMoney -= 20;
-        effectAppliedMessage += ` Bad corner! Lost $20.`;
+        this.jailTurnsRemaining = JAIL_TURNS;
+        this.gamePhase = "jailed";
+        this.logEvent("jail", "jail.sent", { turns: JAIL_TURNS });
+        this.damagePlayer(JAIL_DAMAGE);
       }
       switch (square.currentEffectType) {
         case "temp_bad_lap": {
-          const penalty = square.effectDetails?.penalty || getRandomInt(5, 15) * this.playerStage;
+          if (hasBoost(this, "trap_immunity")) {
+            this.logEvent("trap", "squares.trapBlocked", {
+              boost: getBoost("trap_immunity").name,
+            });
+            break;
+          }
+          const penalty =
+            square.effectDetails?.penalty || getRandomInt(this, 5, 15) * this.playerStage;
           this.playerMoney -= penalty;
-          effectAppliedMessage += ` Trap! -$${penalty}.`;
+          this.logEvent("trap", "squares.trap", { penalty }, { money: -penalty });
+          this.damagePlayer(TRAP_DAMAGE);
+          break;
+        }
+        case "relic": {
+          square.currentEffectType = "none";
+          square.effectDetails = null;
+          this.collectRelic();
           break;
         }
         case "huge_money": {
           const hugeGain = square.effectDetails?.amount || this.currentHugeMoneyValue;
           this.playerMoney += hugeGain;
-          effectAppliedMessage += ` Huge! +$${hugeGain}.`;
+          this.logEvent("money", "squares.hugeMoney", { amount: hugeGain }, { money: hugeGain });
           square.currentEffectType = "none";
           square.effectDetails = null;
           break;
@@ -887,31 +1406,32 @@ export const useGameStore = defineStore("game", {
         case "choice_dice_money": {
           this.gamePhase = "awaiting_choice";
           let offeredDieInChoice;
-          const rdc = Math.random();
-          if (rdc < 0.6) offeredDieInChoice = { type: DICE_TYPES.FIXED, value: getRandomInt(2, 6) };
+          const rdc = random(this);
+          if (rdc < 0.6)
+            offeredDieInChoice = { type: DICE_TYPES.FIXED, value: getRandomInt(this, 2, 6) };
           else if (rdc < 0.85) offeredDieInChoice = { type: DICE_TYPES.REVERSE_RANDOM };
           else offeredDieInChoice = { type: DICE_TYPES.D20 };
           this.choiceDetails = {
             type: "dice_vs_money",
-            message: "Choose reward:",
+            message: t("choices.chooseReward"),
             options: [
               {
-                text: `Get $${10 * this.playerStage}`,
+                text: t("choices.getMoney", { amount: 10 * this.playerStage }),
                 action: "get_money_bonus",
                 value: 10 * this.playerStage,
                 visual: { type: "money" },
               },
               {
-                text: `Get ${offeredDieInChoice.type}${
-                  offeredDieInChoice.value ? " (" + offeredDieInChoice.value + ")" : ""
-                } Die`,
+                text: t("choices.getDie", { die: describeDie(offeredDieInChoice) }),
                 action: "get_chosen_die",
                 value: offeredDieInChoice,
                 visual: { type: "die", dieData: offeredDieInChoice },
               },
+              this.rollBoostOption(),
+              ...(this.playerHP < MAX_PLAYER_HP ? [this.healOption()] : []),
             ],
           };
-          effectAppliedMessage += " " + this.choiceDetails.message;
+          this.logEvent("info", "choices.chooseReward");
           break;
         }
         case "choice_pick_die": {
@@ -925,21 +1445,23 @@ export const useGameStore = defineStore("game", {
             { type: DICE_TYPES.FIXED, value: 6 },
             { type: DICE_TYPES.D20 },
             { type: DICE_TYPES.REVERSE_RANDOM },
-            { type: DICE_TYPES.REVERSE_FIXED, value: getRandomInt(1, 6) },
+            { type: DICE_TYPES.REVERSE_FIXED, value: getRandomInt(this, 1, 6) },
             { type: DICE_TYPES.NORMAL },
+            { type: DICE_TYPES.WEIGHTED_HIGH },
+            { type: DICE_TYPES.WEIGHTED_LOW },
+            { type: DICE_TYPES.D8 },
+            { type: DICE_TYPES.D12 },
           ];
-          shuffleArray(dPool);
-          const numOffer = getRandomInt(3, 4);
+          shuffleArray(this, dPool);
+          const numOffer = getRandomInt(this, 3, 4);
           const finalOpts = [];
           const sigs = new Set();
           for (const d of dPool) {
             if (finalOpts.length >= numOffer) break;
-            let sig = d.type;
-            if (d.type === DICE_TYPES.FIXED || d.type === DICE_TYPES.REVERSE_FIXED)
-              sig += `_${d.value}`;
+            const sig = describeDie(d);
             if (!sigs.has(sig)) {
               finalOpts.push({
-                text: `Die: ${d.type}${d.value !== undefined ? " (" + d.value + ")" : ""}`,
+                text: t("choices.pickDie", { die: sig }),
                 action: "get_chosen_die",
                 value: { ...d },
                 visual: { type: "die", dieData: { ...d } },
@@ -949,14 +1471,13 @@ export const useGameStore = defineStore("game", {
           }
           this.choiceDetails = {
             type: "pick_a_die",
-            message: `Choose a die (${finalOpts.length} options):`,
+            message: t("choices.chooseDie", { count: finalOpts.length }),
             options: finalOpts,
           };
-          effectAppliedMessage += " " + this.choiceDetails.message;
+          this.logEvent("info", "choices.chooseDie", { count: finalOpts.length });
           break;
         }
       }
-      this.gameMessage = (this.gameMessage + " " + effectAppliedMessage).trim();
       console.log(
         "Store: handleSquareLanding - Finished. Final message:",
         this.gameMessage,
@@ -966,157 +1487,436 @@ export const useGameStore = defineStore("game", {
     },
 
     /**
-     * Applies the effect of a specific square when landed on
-     * @param {Object} square - The square object to apply effects from
+     * Processes the player's choice from a choice event
+     * @param {*} chosenOption - The option chosen by the player
+     * @returns {Promise<void>}
      */
-    applySquareEffect(square) {
-      switch (square.currentEffectType) {
-        case "temp_bad_lap":
-          return this.handleTempBadLap(square);
-        case "huge_money":
-          return this.handleHugeMoney(square);
-        case "choice_dice_money":
-          return this.handleChoiceDiceMoney();
-        case "choice_pick_die":
-          return this.handleChoicePickDie();
-        default:
-          return "";
+    async playerMakesChoice(chosenOption) {
+      console.log("🎯 playerMakesChoice: opción de dado elegida", chosenOption.value);
+      if (this.gamePhase !== "awaiting_choice" || !this.choiceDetails) return;
+      if (SHOP_ACTIONS.includes(chosenOption.action)) {
+        this.handleShopAction(chosenOption);
+        return;
       }
+      this.isAnimating = true;
+      const oSI = this.playerPosition;
+      switch (chosenOption.action) {
+        case "get_money_bonus":
+          this.playerMoney += chosenOption.value;
+          this.announce(
+            "money",
+            "choices.moneyChosen",
+            { amount: chosenOption.value },
+            { money: chosenOption.value }
+          );
+          break;
+        case "get_chosen_die":
+          this.addReservedDie(chosenOption.value);
+          break;
+        case "get_boost":
+          this.grantBoost(chosenOption.value);
+          break;
+        case "heal_player":
+          // The healing starts the banner message, like the other rewards
+          this.bannerStartId = this.healPlayer(chosenOption.value).id;
+          break;
+        case "leave_shop":
+          this.announce("info", "shop.left");
+          break;
+      }
+      if (oSI >= 0 && oSI < this.boardSquares.length) {
+        this.boardSquares[oSI].currentEffectType = "none";
+        this.boardSquares[oSI].effectDetails = null;
+      }
+      await wait(this, this.getAnimationDelay(500));
+      this.choiceDetails = null;
+      this.gamePhase = "rolling";
+      this.isAnimating = false;
+      this.endTurn();
     },
 
+    // --- Health Actions ---
+
     /**
-     * Handles temporary bad effects for the current lap
-     * @param {Object} square - The square that triggered the bad effect
+     * Takes health from the active player. Reaching 0 is handled by the caller through
+     * `playerDies`, once the current move or throw is over.
+     * @param {number} amount - Health to lose
+     * @returns {import("../utils/gameEvents").GameEvent} The logged damage event
      */
-    handleTempBadLap(square) {
-      const penalty = square.effectDetails?.penalty || getRandomInt(5, 15) * this.playerStage;
-      this.playerMoney -= penalty;
-      return ` Stepped on a trap! Lost $${penalty}.`;
+    damagePlayer(amount) {
+      this.playerHP = Math.max(0, this.playerHP - amount);
+      return this.logEvent(
+        "health",
+        "health.damaged",
+        { amount, hp: this.playerHP, max: MAX_PLAYER_HP },
+        { hp: -amount }
+      );
     },
 
     /**
-     * Handles landing on a huge money square
-     * @param {Object} square - The square with the huge money effect
+     * Gives health back to the active player, never above the maximum
+     * @param {number} amount - Health to restore
+     * @returns {import("../utils/gameEvents").GameEvent} The logged healing event
      */
-    handleHugeMoney(square) {
-      const hugeGain = square.effectDetails?.amount || this.currentHugeMoneyValue;
-      this.playerMoney += hugeGain;
-      square.currentEffectType = "none";
-      square.effectDetails = null;
-      return ` Huge Money! +$${hugeGain}.`;
+    healPlayer(amount) {
+      const healed = Math.min(amount, MAX_PLAYER_HP - this.playerHP);
+      this.playerHP += healed;
+      return this.logEvent(
+        "health",
+        "health.healed",
+        { amount: healed, hp: this.playerHP, max: MAX_PLAYER_HP },
+        { hp: healed }
+      );
     },
 
     /**
-     * Handles the choice between getting a die or money
-     * Sets up the choice interface for the player
+     * Builds the choice option that heals the player
+     * @returns {Object} Choice option for the choice modal
      */
-    handleChoiceDiceMoney() {
-      this.gamePhase = "awaiting_choice";
-      let offeredDieInChoice;
-      const randDieChoice = Math.random();
-      if (randDieChoice < 0.6)
-        offeredDieInChoice = { type: DICE_TYPES.FIXED, value: getRandomInt(2, 6) };
-      else if (randDieChoice < 0.85) offeredDieInChoice = { type: DICE_TYPES.REVERSE_RANDOM };
-      else offeredDieInChoice = { type: DICE_TYPES.D20 };
-      this.choiceDetails = {
-        type: "dice_vs_money",
-        message: "Choose your reward:",
-        options: [
-          {
-            text: `Get $${10 * this.playerStage}`,
-            action: "get_money_bonus",
-            value: 10 * this.playerStage,
-            visual: { type: "money" },
-          },
-          {
-            text: `Get a ${offeredDieInChoice.type}${
-              offeredDieInChoice.value ? " (" + offeredDieInChoice.value + ")" : ""
-            } Die`,
-            action: "get_chosen_die",
-            value: offeredDieInChoice,
-            visual: { type: "die", dieData: offeredDieInChoice },
-          },
-        ],
+    healOption() {
+      return {
+        text: t("choices.heal", { amount: HEAL_CHOICE_AMOUNT }),
+        action: "heal_player",
+        value: HEAL_CHOICE_AMOUNT,
+        visual: { type: "emoji", emoji: "❤️‍🩹" },
       };
-      console.log(
-        "Store: handleSquareLanding - Set gamePhase to awaiting_choice for dice_vs_money."
-      );
-      return " " + this.choiceDetails.message;
     },
 
     /**
-     * Handles the choice of picking a specific die
-     * Sets up the die selection interface for the player
+     * The boss strikes back after a throw that did not finish it
      */
-    handleChoicePickDie() {
-      this.gamePhase = "awaiting_choice";
+    bossCounterAttack() {
+      const attack = this.bossAttack;
+      if (attack <= 0) return;
+      const damage = getRandomInt(this, 1, attack);
+      this.bossLastAttack = damage;
+      afterDelay(this, () => {
+        this.bossLastAttack = null;
+      }, 1000);
+      this.logEvent("boss_mechanic", "boss.counterAttack", { boss: this.currentBoss.name });
+      this.damagePlayer(damage);
+    },
+
+    // --- Boost Actions ---
+
+    /**
+     * Picks a random boost and builds the choice option that grants it
+     * @returns {Object} Choice option for the choice modal
+     */
+    rollBoostOption() {
+      const boost = BOOSTS[getRandomInt(this, 0, BOOSTS.length - 1)];
+      return {
+        text: t("choices.boost", {
+          name: boost.name,
+          description: boost.description,
+          laps: boost.laps,
+        }),
+        action: "get_boost",
+        value: boost.id,
+        visual: { type: "emoji", emoji: boost.emoji },
+      };
+    },
+
+    /**
+     * Starts a boost for the active player; picking one already running refreshes its laps
+     * @param {string} boostId - Boost id, see BOOSTS
+     */
+    grantBoost(boostId) {
+      const boost = getBoost(boostId);
+      if (!boost) return;
+      const running = this.activeBoosts.find((active) => active.id === boostId);
+      if (running) {
+        running.lapsRemaining = Math.max(running.lapsRemaining, boost.laps);
+      } else {
+        this.activeBoosts.push({ id: boostId, lapsRemaining: boost.laps });
+      }
+      this.announce("boost", "boosts.granted", {
+        emoji: boost.emoji,
+        name: boost.name,
+        laps: boost.laps,
+      });
+    },
+
+    /**
+     * Counts down the active boosts after a lap and drops the ones that wore off.
+     * Dice above the normal bag size stay in the bag when Mochila Grande ends.
+     */
+    tickBoosts() {
+      const expired = [];
+      this.activeBoosts = this.activeBoosts.filter((active) => {
+        active.lapsRemaining--;
+        if (active.lapsRemaining > 0) return true;
+        expired.push(getBoost(active.id)?.name ?? active.id);
+        return false;
+      });
+      if (expired.length) this.logEvent("boost", "boosts.expired", { names: expired.join(", ") });
+    },
+
+    // --- Prison Actions ---
+
+    /**
+     * Throws a d6 to break out of prison; failing spends one of the jail turns
+     * @returns {Promise<void>}
+     */
+    async attemptJailEscape() {
+      if (this.gamePhase !== "jailed" || this.isAnimating || this.isGameOver) return;
+      this.isAnimating = true;
+      this.announce("jail", "jail.escaping");
+      await wait(this, this.getAnimationDelay(this.diceRollAnimationBaseDuration));
+      const roll = getRandomInt(this, 1, 6);
+      this.showDieRoll(roll);
+      this.totalRolls++;
+      if (roll >= this.jailEscapeRoll) {
+        this.jailTurnsRemaining = 0;
+        this.announce("jail", "jail.escaped", { roll });
+      } else {
+        this.jailTurnsRemaining--;
+        if (this.jailTurnsRemaining > 0) {
+          this.announce("jail", "jail.stillJailed", { roll, turns: this.jailTurnsRemaining });
+        } else {
+          this.announce("jail", "jail.sentenceServed", { roll });
+        }
+      }
+      this.gamePhase = this.jailTurnsRemaining > 0 ? "jailed" : "rolling";
+      this.isAnimating = false;
+      this.endTurn();
+    },
+
+    /**
+     * Pays the bail to leave prison right away; the player can roll this same turn
+     */
+    payBail() {
+      if (this.gamePhase !== "jailed" || this.isAnimating) return;
+      const bail = this.jailBailCost;
+      if (this.playerMoney < bail) {
+        this.announce("info", "jail.cannotPayBail", { bail });
+        return;
+      }
+      this.playerMoney -= bail;
+      this.jailTurnsRemaining = 0;
+      this.gamePhase = "rolling";
+      this.announce("jail", "jail.bailPaid", { bail }, { money: -bail });
+    },
+
+    // --- Relic Actions ---
+
+    /**
+     * Gives the active player a relic they do not have yet; completing the set wins the run
+     */
+    collectRelic() {
+      const missing = RELICS.filter((relic) => !this.relics.includes(relic.id));
+      if (missing.length === 0) {
+        this.logEvent("relic", "relics.allOwned");
+        return;
+      }
+      const relic = missing[getRandomInt(this, 0, missing.length - 1)];
+      this.relics.push(relic.id);
+      console.log("Store: collectRelic -", relic.id, `${this.relics.length}/${RELICS.length}`);
+      this.logEvent("relic", "relics.found", {
+        emoji: relic.emoji,
+        name: relic.name,
+        bonus: relic.bonus,
+      });
+      if (hasAllRelics(this.relics)) {
+        this.winByRelics();
+      }
+    },
+
+    /**
+     * Ends the run right away because the active player owns every relic
+     */
+    winByRelics() {
+      if (this.activePlayer) this.activePlayer.status = "finished";
+      this.stashActivePlayer();
+      this.isGameOver = true;
+      this.gameOverCause = "relics";
+      this.gamePhase = "game_won";
+      this.showSummaryModal = true;
+      runHook(this, "onRunEnd", { cause: this.gameOverCause, won: true });
+    },
+
+    // --- Merchant Actions ---
+
+    /**
+     * Gets the merchant's price for a die at the current stage
+     * @param {Object} die - Die data
+     * @returns {number} Price in coins
+     */
+    getShopPrice(die) {
+      const basePrice = getDieDefinition(die.type).basePrice(die);
+      return Math.max(1, Math.round(basePrice * this.shopPriceFactor));
+    },
+
+    /**
+     * Gets what the merchant pays for a die from the bag (half its price)
+     * @param {Object} die - Die data
+     * @returns {number} Coins received
+     */
+    getShopSellPrice(die) {
+      return Math.max(1, Math.floor(this.getShopPrice(die) / 2));
+    },
+
+    /**
+     * Draws a new set of dice for the merchant to sell
+     * @returns {Object[]} Dice in stock
+     */
+    rollShopStock() {
       const dicePool = [
-        { type: DICE_TYPES.FIXED, value: 1 },
-        { type: DICE_TYPES.FIXED, value: 2 },
-        { type: DICE_TYPES.FIXED, value: 3 },
-        { type: DICE_TYPES.FIXED, value: 4 },
-        { type: DICE_TYPES.FIXED, value: 5 },
-        { type: DICE_TYPES.FIXED, value: 6 },
+        { type: DICE_TYPES.FIXED, value: getRandomInt(this, 1, 6) },
+        { type: DICE_TYPES.FIXED, value: getRandomInt(this, 4, 6) },
         { type: DICE_TYPES.D20 },
         { type: DICE_TYPES.REVERSE_RANDOM },
-        { type: DICE_TYPES.REVERSE_FIXED, value: getRandomInt(1, 6) },
+        { type: DICE_TYPES.REVERSE_FIXED, value: getRandomInt(this, 1, 6) },
         { type: DICE_TYPES.NORMAL },
+        { type: DICE_TYPES.WEIGHTED_HIGH },
+        { type: DICE_TYPES.D12 },
+        {
+          type: DICE_TYPES.LOADED,
+          faces: Array.from({ length: 6 }, () => getRandomInt(this, 2, 6)).sort((a, b) => a - b),
+        },
       ];
-      shuffleArray(dicePool);
-      const numDiceToOffer = getRandomInt(3, 4);
-      const finalDiceOptions = [];
-      const offeredSignatures = new Set();
-      for (const die of dicePool) {
-        if (finalDiceOptions.length >= numDiceToOffer) break;
-        let signature = die.type;
-        if (die.type === DICE_TYPES.FIXED || die.type === DICE_TYPES.REVERSE_FIXED)
-          signature += `_${die.value}`;
-        if (!offeredSignatures.has(signature)) {
-          finalDiceOptions.push({
-            text: `Die: ${die.type}${die.value !== undefined ? " (" + die.value + ")" : ""}`,
-            action: "get_chosen_die",
-            value: { ...die },
-            visual: { type: "die", dieData: { ...die } },
-          });
-          offeredSignatures.add(signature);
+      shuffleArray(this, dicePool);
+      return dicePool.slice(0, SHOP_STOCK_SIZE);
+    },
+
+    /**
+     * Opens (or refreshes) the merchant's main menu
+     * @param {Object[]} [stock] - Dice in stock; a new stock is drawn when omitted
+     */
+    openShop(stock) {
+      const shopStock = stock ?? this.rollShopStock();
+      const rerollPrice = Math.max(1, Math.round(SHOP_REROLL_BASE_PRICE * this.shopPriceFactor));
+      const options = shopStock.map((die, stockIndex) => {
+        const price = this.getShopPrice(die);
+        return {
+          text: t("shop.buy", { die: describeDie(die), price }),
+          action: "buy_die",
+          value: { die: { ...die }, price, stockIndex },
+          visual: { type: "die", dieData: { ...die } },
+          disabled: this.playerMoney < price || this.reservedDice.length >= this.diceBagCapacity,
+        };
+      });
+      options.push(
+        {
+          text: t("shop.reroll", { price: rerollPrice }),
+          action: "reroll_shop",
+          value: rerollPrice,
+          visual: { type: "emoji", emoji: "🔄" },
+          disabled: this.playerMoney < rerollPrice,
+        },
+        {
+          text: t("shop.sellMenu"),
+          action: "open_sell_menu",
+          visual: { type: "emoji", emoji: "🏷️" },
+          disabled: this.reservedDice.length === 0,
+        },
+        {
+          text: t("shop.leave"),
+          action: "leave_shop",
+          visual: { type: "emoji", emoji: "🚪" },
         }
-      }
+      );
+      this.gamePhase = "awaiting_choice";
       this.choiceDetails = {
-        type: "pick_a_die",
-        message: `Choose a die (${finalDiceOptions.length} options):`,
-        options: finalDiceOptions,
+        type: "shop",
+        message: t("shop.title", { money: this.playerMoney }),
+        stock: shopStock,
+        options,
       };
-      console.log("Store: handleSquareLanding - Set gamePhase to awaiting_choice for pick_a_die.");
-      return " " + this.choiceDetails.message;
     },
 
     /**
-     * Processes the player's choice from a choice event
-     * @param {*} chosenOption - The option chosen by the player
-     * @returns {Promise<void>}
+     * Switches the merchant menu to the list of dice the player can sell
      */
-    async playerMakesChoice(chosenOption) {
-      console.log("🎯 playerMakesChoice: opción de dado elegida", chosenOption.value);
-      if (this.gamePhase !== "awaiting_choice" || !this.choiceDetails) return;
-      this.isAnimating = true;
-      const oSI = this.playerPosition;
-      switch (chosenOption.action) {
-        case "get_money_bonus":
-          this.playerMoney += chosenOption.value;
-          this.gameMessage = `Chose money! +$${chosenOption.value}.`;
+    openShopSellMenu() {
+      const stock = this.choiceDetails?.stock ?? [];
+      const options = this.reservedDice.map((die, index) => {
+        const price = this.getShopSellPrice(die);
+        return {
+          text: t("shop.sell", { die: describeDie(die), price }),
+          action: "sell_die",
+          value: { index, price },
+          visual: { type: "die", dieData: { ...die } },
+        };
+      });
+      options.push({
+        text: t("shop.back"),
+        action: "open_shop_menu",
+        visual: { type: "emoji", emoji: "↩️" },
+      });
+      this.choiceDetails = {
+        type: "shop_sell",
+        message: t("shop.sellTitle", { money: this.playerMoney }),
+        stock,
+        options,
+      };
+    },
+
+    /**
+     * Handles the merchant options that keep the shop open
+     * @param {Object} option - Chosen shop option
+     */
+    handleShopAction(option) {
+      const stock = [...(this.choiceDetails?.stock ?? [])];
+      switch (option.action) {
+        case "buy_die": {
+          const { die, price, stockIndex } = option.value;
+          if (this.playerMoney < price) {
+            this.announce("info", "shop.cannotAfford", { die: describeDie(die), price });
+            break;
+          }
+          if (this.reservedDice.length >= this.diceBagCapacity) {
+            this.announce("info", "shop.bagFull", { capacity: this.diceBagCapacity });
+            break;
+          }
+          this.playerMoney -= price;
+          this.addReservedDie({ ...die });
+          this.announce(
+            "money",
+            "shop.bought",
+            { die: describeDie(die), price },
+            { money: -price }
+          );
+          stock.splice(stockIndex, 1);
           break;
-        case "get_chosen_die":
-          this.addReservedDie(chosenOption.value);
+        }
+        case "reroll_shop": {
+          if (this.playerMoney < option.value) {
+            this.announce("info", "shop.cannotAffordReroll");
+            break;
+          }
+          this.playerMoney -= option.value;
+          this.announce(
+            "money",
+            "shop.rerolled",
+            { price: option.value },
+            { money: -option.value }
+          );
+          this.openShop();
+          return;
+        }
+        case "open_sell_menu":
+          this.openShopSellMenu();
+          return;
+        case "sell_die": {
+          const { index, price } = option.value;
+          const [soldDie] = this.reservedDice.splice(index, 1);
+          if (!soldDie) break;
+          this.playerMoney += price;
+          this.announce(
+            "die_lost",
+            "shop.sold",
+            { die: describeDie(soldDie), price },
+            { money: price, die: soldDie }
+          );
+          if (this.reservedDice.length > 0) {
+            this.openShopSellMenu();
+            return;
+          }
           break;
+        }
       }
-      if (oSI >= 0 && oSI < this.boardSquares.length) {
-        this.boardSquares[oSI].currentEffectType = "none";
-        this.boardSquares[oSI].effectDetails = null;
-      }
-      await new Promise((resolve) => setTimeout(resolve, this.getAnimationDelay(500)));
-      this.choiceDetails = null;
-      this.gamePhase = "rolling";
-      this.isAnimating = false;
+      this.openShop(stock);
     },
 
     // --- Boss Actions ---
@@ -1127,12 +1927,14 @@ export const useGameStore = defineStore("game", {
      * @returns {Promise<void>}
      */
     async handleBossEncounter() {
-      const stageConfig = STAGE_CONFIGS[this.playerStage];
+      const stageConfig = this.stageConfigs[this.playerStage];
       this.currentBoss = {
         ...stageConfig.bossDefeatCondition,
         image: stageConfig.bossImage,
         name: stageConfig.bossName,
+        mechanic: stageConfig.bossMechanic ?? null,
       };
+      runHook(this, "onBossStart", { boss: this.currentBoss });
 
       this.remainingBossRolls = this.currentBoss.diceThrows;
       this.currentBossHP = this.currentBoss.hp;
@@ -1149,6 +1951,142 @@ export const useGameStore = defineStore("game", {
     applyBossDamage(totalDiceValue) {
       if (this.currentBossHP == null) return;
       this.currentBossHP -= totalDiceValue;
+      this.logEvent(
+        "boss_damage",
+        "events.bossDamage",
+        {
+          boss: this.currentBoss?.name,
+          damage: totalDiceValue,
+          hp: Math.max(this.currentBossHP, 0),
+        },
+        { damage: totalDiceValue, quiet: true }
+      );
+    },
+
+    /**
+     * Works out the damage of a throw: the boss defenses first, then the run's plugins
+     * (`onBossDamage`)
+     * @param {number} roll - Value of the throw
+     * @param {Object} die - Die that was thrown
+     * @returns {number} Damage the throw deals
+     */
+    resolveBossDamage(roll, die) {
+      const damage = this.applyBossDefense(roll, die);
+      return runHook(this, "onBossDamage", { damage, die, boss: this.currentBoss }).damage;
+    },
+
+    /**
+     * Applies the rules of the current boss that change a throw before it deals damage
+     * @param {number} roll - Value of the throw
+     * @param {Object} die - Die that was thrown
+     * @returns {number} Damage the throw deals
+     */
+    applyBossDefense(roll, die) {
+      const boss = this.currentBoss;
+      switch (boss?.mechanic) {
+        case "armor": {
+          if (roll >= boss.armor) return roll;
+          this.logEvent("boss_mechanic", "boss.armorBlocks", { boss: boss.name });
+          return 0;
+        }
+        case "reroll": {
+          // Only the first result is rerolled, the new one stands even if it is high again
+          if (roll < boss.rerollAtLeast) return roll;
+          const reroll = getDieDefinition(die.type).bossDamage(
+            this.applyRollBonuses(rollStoreDie(this, die).value, die.type),
+            die
+          );
+          this.logEvent("boss_mechanic", "boss.rerolled", { boss: boss.name, roll, reroll });
+          return reroll;
+        }
+        default:
+          return roll;
+      }
+    },
+
+    /**
+     * Applies the special rule of the current boss after a throw
+     * @param {number} roll - Value of the throw
+     */
+    applyBossMechanic(roll) {
+      switch (this.currentBoss?.mechanic) {
+        case "tax": {
+          const tax = Math.min(this.currentBoss.taxPerThrow, Math.max(this.playerMoney, 0));
+          if (tax === 0) break;
+          this.playerMoney -= tax;
+          this.logEvent(
+            "boss_mechanic",
+            "boss.taxed",
+            { boss: this.currentBoss.name, tax },
+            { money: -tax }
+          );
+          break;
+        }
+        case "steal": {
+          if (getRandomInt(this, 1, 100) > this.currentBoss.stealPercent) break;
+          const stealableIndexes = this.reservedDice
+            .map((die, index) => (die.locked ? -1 : index))
+            .filter((index) => index !== -1);
+          if (stealableIndexes.length === 0) break;
+          const stolenIndex =
+            stealableIndexes[getRandomInt(this, 0, stealableIndexes.length - 1)];
+          const [stolenDie] = this.reservedDice.splice(stolenIndex, 1);
+          this.logEvent(
+            "die_lost",
+            "boss.stoleDie",
+            { boss: this.currentBoss.name, die: describeDie(stolenDie) },
+            { die: stolenDie }
+          );
+          break;
+        }
+        case "heal": {
+          // The dragon only feeds while it is still standing, and never above its max HP
+          if (this.currentBossHP <= 0) break;
+          const missingHP = this.currentBossMaxHP - this.currentBossHP;
+          const heal = Math.min(
+            this.currentBoss.healPerThrow,
+            Math.max(this.playerMoney, 0),
+            missingHP
+          );
+          if (heal === 0) break;
+          this.playerMoney -= heal;
+          this.currentBossHP += heal;
+          this.logEvent(
+            "boss_mechanic",
+            "boss.healed",
+            { boss: this.currentBoss.name, heal },
+            { money: -heal }
+          );
+          break;
+        }
+        case "jail": {
+          // The Warden locks a random die from the bag for every failed throw
+          if (roll >= this.currentBoss.lockBelow) break;
+          const unlockedIndexes = this.reservedDice
+            .map((die, index) => (die.locked ? -1 : index))
+            .filter((index) => index !== -1);
+          if (unlockedIndexes.length === 0) break;
+          const lockedIndex = unlockedIndexes[getRandomInt(this, 0, unlockedIndexes.length - 1)];
+          const lockedDie = this.reservedDice[lockedIndex];
+          lockedDie.locked = true;
+          this.logEvent(
+            "boss_mechanic",
+            "boss.lockedDie",
+            { boss: this.currentBoss.name, die: describeDie(lockedDie) },
+            { die: { ...lockedDie } }
+          );
+          break;
+        }
+      }
+    },
+
+    /**
+     * Frees every die locked during a boss fight
+     */
+    releaseLockedDice() {
+      this.reservedDice.forEach((die) => {
+        delete die.locked;
+      });
     },
 
     /**
@@ -1156,18 +2094,23 @@ export const useGameStore = defineStore("game", {
      * @returns {Promise<void>}
      */
     payToDefeatBoss() {
-      if (!this.currentBoss || this.currentBoss.bribeCost == null) return;
+      if (this.bossBribeCost == null) return;
 
-      const bribe = Number(this.currentBoss.bribeCost);
+      const bribe = this.bossBribeCost;
       const currentMoney = this.playerMoney;
 
       if (currentMoney >= bribe) {
         this.playerMoney -= bribe;
         this.bribesBosses++;
-        this.gameMessage = `Has sobornado a ${this.currentBoss.name} por $${bribe}`;
+        this.announce(
+          "bribe",
+          "boss.bribed",
+          { boss: this.currentBoss.name, bribe },
+          { money: -bribe }
+        );
         this.defeatBoss(true);
       } else {
-        alert("No tienes suficiente dinero para pagarle al jefe.");
+        if (!this.headless) alert(t("boss.cannotBribe"));
       }
     },
 
@@ -1178,38 +2121,39 @@ export const useGameStore = defineStore("game", {
      */
     async rollDiceForBoss(die) {
       if (this.gamePhase !== "boss_encounter") return;
+      if (die.locked) {
+        this.announce("info", "boss.dieLocked", { boss: this.currentBoss.name });
+        return;
+      }
 
       const dieIndex = this.reservedDice.indexOf(die);
       if (dieIndex !== -1) {
         this.reservedDice.splice(dieIndex, 1);
       }
 
-      let roll;
-      // Manejar cada tipo de dado específicamente
-      switch (die.type) {
-        case DICE_TYPES.D20:
-          roll = getRandomInt(1, 20);
-          this.gameMessage = `Usaste un dado D20 y obtuviste un ${roll}!`;
-          break;
-        case DICE_TYPES.FIXED:
-          roll = die.value;
-          this.gameMessage = `Usaste un dado fijo de ${roll}`;
-          break;
-        case DICE_TYPES.REVERSE_FIXED:
-          roll = die.value;
-          this.gameMessage = `Usaste un dado fijo inverso de ${roll}`;
-          break;
-        case DICE_TYPES.REVERSE_RANDOM:
-          roll = getRandomInt(1, 6);
-          this.gameMessage = `Usaste un dado aleatorio inverso y obtuviste un ${roll}`;
-          break;
-        default: // DICE_TYPES.NORMAL
-          roll = getRandomInt(1, 6);
-          this.gameMessage = `Usaste un dado normal y obtuviste un ${roll}`;
+      const rolled = rollPlayerDie(this, die, "boss").value;
+      const boostedRoll = this.applyRollBonuses(rolled, die.type);
+      if (boostedRoll !== rolled) {
+        this.announce(
+          "boss_throw",
+          "boss.bagThrowWithBonus",
+          { die: describeDie(die), roll: rolled, bonus: boostedRoll - rolled },
+          { die }
+        );
+      } else {
+        this.announce(
+          "boss_throw",
+          "boss.bagThrow",
+          { die: describeDie(die), roll: rolled },
+          { die }
+        );
       }
+      // Each die type decides how its result hurts the boss
+      const damage = getDieDefinition(die.type).bossDamage(boostedRoll, die);
+      const roll = this.resolveBossDamage(damage, die);
 
       this.bossLastRoll = roll;
-      setTimeout(() => {
+      afterDelay(this, () => {
         this.bossLastRoll = null;
       }, 1000);
 
@@ -1219,17 +2163,24 @@ export const useGameStore = defineStore("game", {
       this.applyBossDamage(roll);
 
       const total = this.currentDiceThrows.reduce((a, b) => a + b, 0);
-      this.gameMessage += `. Daño total: ${total}/${this.currentBoss.hp}`;
+      this.logEvent("boss_throw", "boss.totalDamage", { total, hp: this.currentBoss.hp });
+      this.applyBossMechanic(roll);
 
-      if (total >= this.currentBoss.hp) {
+      if (this.currentBossHP <= 0) {
         await this.defeatBoss();
         return;
       }
 
+      this.bossCounterAttack();
+      if (this.playerHP <= 0) {
+        await this.playerDies();
+        return;
+      }
+
       if (
         this.gamePhase === "boss_encounter" &&
         this.remainingBossRolls === 0 &&
-        this.reservedDice.length === 0
+        this.usableReservedDiceCount === 0
       ) {
         await this.failBossFight();
       }
@@ -1240,11 +2191,9 @@ export const useGameStore = defineStore("game", {
      * Evaluates victory/defeat conditions
      */
     checkEndOfBossBattle() {
-      const total = this.currentDiceThrows.reduce((a, b) => a + b, 0);
-
-      if (total >= this.currentBoss.hp) {
+      if (this.currentBossHP <= 0) {
         this.defeatBoss();
-      } else if (this.remainingBossRolls === 0 && this.reservedDice.length === 0) {
+      } else if (this.remainingBossRolls === 0 && this.usableReservedDiceCount === 0) {
         this.failBossFight();
       }
     },
@@ -1255,21 +2204,7 @@ export const useGameStore = defineStore("game", {
      * @returns {number} The result of the roll
      */
     async rollCustomDie(die) {
-      let result;
-      switch (die.type) {
-        case DICE_TYPES.FIXED:
-          result = die.value || 1; // Ensure value if fixed
-          break;
-        case DICE_TYPES.REVERSE_RANDOM:
-          result = getRandomInt(1, 6); // For boss, usually positive outcome desired
-          break;
-        case DICE_TYPES.D20:
-          result = getRandomInt(1, 20);
-          break;
-        default: // Includes DICE_TYPES.NORMAL
-          result = getRandomInt(1, 6);
-      }
-      return result;
+      return rollStoreDie(this, die).value;
     },
 
     /**
@@ -1280,69 +2215,144 @@ export const useGameStore = defineStore("game", {
     async defeatBoss(wasBribed = false) {
       if (!wasBribed) {
         this.bossesDefeated++;
-        // Check if this was a perfect defeat
-        const totalDamage = this.currentDiceThrows.reduce((a, b) => a + b, 0);
-        if (totalDamage === this.currentBoss.hp) {
+        // Check if this was a perfect defeat: the last throw left the boss at exactly 0 HP
+        if (this.currentBossHP === 0) {
           this.perfectBossDefeats++;
-          this.gameMessage = "¡Has derrotado al jefe con daño exacto! ¡Perfecto!";
+          this.announce("boss_defeated", "boss.perfectDefeat");
         } else {
-          this.gameMessage = "¡Has derrotado al jefe!";
+          this.announce("boss_defeated", "boss.defeated");
         }
       }
 
-      await new Promise((res) => setTimeout(res, 500));
+      await wait(this, this.getAnimationDelay(500));
 
-      this.playerStage++;
-
-      if (this.playerStage > Object.keys(STAGE_CONFIGS).length) {
-        this.isGameOver = true;
-        this.showSummaryModal = true;
-        return;
-      }
-
-      this.playerLap = 0;
+      this.releaseLockedDice();
       this.currentDiceThrows = [];
       this.remainingBossRolls = 0;
-      this.gamePhase = "rolling";
-      const nextStageConfig = STAGE_CONFIGS[this.playerStage];
-      if (!nextStageConfig) {
-        console.error("No config found for stage", this.playerStage);
+      if (this.activePlayer) {
+        this.activePlayer.status = "stage_cleared";
+        this.activePlayer.stageReached = this.playerStage + 1;
+      }
+
+      // Hot-seat: the stage only ends once everyone still in it has faced the boss
+      if (this.players.some((player) => player.status === "playing")) {
+        this.gamePhase = "rolling";
+        this.endTurn();
         return;
       }
-      this.currentStageConfig = JSON.parse(JSON.stringify(nextStageConfig));
-      this.setupStage(); // ← ESTA LÍNEA ESCLAVEMENTE NECESARIA
+
+      this.advanceStage();
     },
 
     /**
      * Handles failing the boss fight
-     * Resets player position and updates game state
+     * Eliminates the player; the run ends once nobody is left
      * @returns {Promise<void>}
      */
     async failBossFight() {
-      this.gameMessage = `Has fallado en derrotar a ${this.currentStageConfig.bossName}...`;
-      await new Promise((res) => setTimeout(res, 1500));
+      const bossName = this.currentStageConfig.bossName;
+      this.announce("boss_failed", "boss.failed", { boss: bossName });
+      await wait(this, this.getAnimationDelay(1500));
+
+      this.eliminateActivePlayer(
+        {
+          type: "boss_failed",
+          key: "boss.eliminated",
+          params: { name: this.activePlayer?.name, boss: bossName },
+        },
+        "defeat"
+      );
+    },
+
+    /**
+     * Handles the active player running out of health, on the board or in a boss fight
+     * @returns {Promise<void>}
+     */
+    async playerDies() {
+      const name = this.activePlayer?.name ?? defaultPlayerName();
+      this.announce("health", "health.outOfHealth", { name });
+      await wait(this, this.getAnimationDelay(1500));
+
+      this.eliminateActivePlayer(
+        { type: "health", key: "health.died", params: { name } },
+        "player_died"
+      );
+    },
+
+    /**
+     * Takes the active player out of the run. In hot-seat runs the others carry on;
+     * when nobody is left the run is lost.
+     * @param {{type: string, key: string, params: Object}} message - Event announced while
+     *   other players are still in the run
+     * @param {string} cause - `gameOverCause` if this ends the run
+     */
+    eliminateActivePlayer(message, cause) {
+      this.releaseLockedDice();
+      this.jailTurnsRemaining = 0;
+      const player = this.activePlayer;
+      if (player) {
+        player.status = "eliminated";
+        player.stageReached = this.playerStage;
+      }
+
+      // Hot-seat: the remaining players carry on without the eliminated one
+      const othersInRun = this.players.some(
+        (other) => other.status === "playing" || other.status === "stage_cleared"
+      );
+      if (othersInRun) {
+        this.announce(message.type, message.key, message.params);
+        this.currentDiceThrows = [];
+        this.remainingBossRolls = 0;
+        if (this.players.some((other) => other.status === "playing")) {
+          this.gamePhase = "rolling";
+          this.endTurn();
+        } else {
+          this.advanceStage();
+        }
+        return;
+      }
+
+      this.stashActivePlayer();
       this.isGameOver = true;
+      this.gameOverCause = cause;
       this.gamePhase = "game_lost";
       this.showSummaryModal = true;
+      runHook(this, "onRunEnd", { cause, won: false });
     },
 
     /**
      * Advances to the next stage
-     * Updates game state and sets up the new stage
-     * @returns {Promise<void>}
+     * Updates game state and sets up the new stage, or ends the run after the last one
      */
-    async advanceStage() {
+    advanceStage() {
       this.playerStage++;
-      if (this.playerStage > MAX_STAGES) {
-        this.gameMessage = "CONGRATULATIONS! You've beaten all stages!";
+      if (this.playerStage > this.maxStages) {
+        this.players.forEach((player) => {
+          if (player.status === "stage_cleared") player.status = "finished";
+        });
+        this.stashActivePlayer();
+        this.announce("stage", "game.allStagesBeaten");
         this.isGameOver = true;
+        this.gameOverCause = "stages";
         this.gamePhase = "game_won";
         this.isAnimating = false;
-      } else {
-        this.setupStage(); // This sets gamePhase to rolling and isAnimating to false
-        // gameMessage is set by setupStage
-        this.gameMessage = `Stage ${this.playerStage} begins! ` + this.gameMessage;
+        this.showSummaryModal = true;
+        runHook(this, "onRunEnd", { cause: this.gameOverCause, won: true });
+        return;
       }
+
+      const nextStageConfig = this.stageConfigs[this.playerStage];
+      if (!nextStageConfig) {
+        console.error("No config found for stage", this.playerStage);
+        return;
+      }
+      this.currentStageConfig = JSON.parse(JSON.stringify(nextStageConfig));
+      this.resetPlayersForStage();
+      this.announce("stage", "game.stageBegins", { stage: this.playerStage });
+      if (this.playerStage === this.campaign.stages.length + 1) {
+        this.logEvent("stage", "endless.campaignBeaten");
+      }
+      this.setupStage(); // ← ESTA LÍNEA ESCLAVEMENTE NECESARIA
       console.log(
         "Store: advanceStage - Finished. Phase:",
         this.gamePhase,
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Run history for Dice or Die.
+ * Follows the run being played (boss fights, damage per die type) and stores it in the history
+ * once it ends, so the stats dashboard can compare runs between playtests.
+ * @module stores/history
+ */
+import { defineStore } from "pinia";
+import { followRun, loadRunHistory, saveRunRecord, clearRunHistory } from "../utils/runHistory";
+import { unlockNextStake } from "../utils/stakes";
+import { recordEndlessDepth } from "../utils/endless";
+
+/** @const {string} localStorage key holding the run in progress */
+const CURRENT_RUN_STORAGE_KEY = "dice-or-die:current-run";
+
+/**
+ * History store definition using Pinia
+ * Keeps the record of the run in play and the list of finished runs
+ */
+export const useHistoryStore = defineStore("history", {
+  state: () => ({
+    /** @type {import("../utils/runHistory").RunRecord|null} Run being played */
+    currentRun: null,
+    /** @type {import("../utils/runHistory").RunRecord[]} Finished runs, oldest first */
+    runs: loadRunHistory(),
+  }),
+
+  actions: {
+    /**
+     * Starts following the game store. Call it from a component setup so the subscription
+     * ends with it.
+     * @param {Object} gameStore - Game store to follow
+     */
+    trackGame(gameStore) {
+      followRun(gameStore, {
+        resume: (seed) => this.loadCurrentRun(seed),
+        onChange: (record) => {
+          this.currentRun = record;
+          this.persist();
+        },
+        onFinish: (record) => this.finishRun(record),
+      });
+    },
+
+    /**
+     * Reads the stored record of the run in progress
+     * @param {string} seed - Seed of the restored run
+     * @returns {import("../utils/runHistory").RunRecord|null} The record, or null if the stored
+     *   one belongs to another run
+     */
+    loadCurrentRun(seed) {
+      try {
+        const stored = JSON.parse(localStorage.getItem(CURRENT_RUN_STORAGE_KEY));
+        return stored?.seed === seed && !stored.endedAt ? stored : null;
+      } catch (error) {
+        console.warn("History: No se pudo leer la partida en curso.", error);
+        return null;
+      }
+    },
+
+    /**
+     * Stores a finished run in the history; a won run unlocks the next stake and an endless
+     * one may set the depth record
+     * @param {import("../utils/runHistory").RunRecord} record - Finished run
+     */
+    finishRun(record) {
+      console.log("History: Run finished", record);
+      this.runs = saveRunRecord(record);
+      if (record.won) unlockNextStake(record.stake ?? 0);
+      if (record.endless) recordEndlessDepth(record.stageReached);
+      this.currentRun = null;
+      try {
+        localStorage.removeItem(CURRENT_RUN_STORAGE_KEY);
+      } catch (error) {
+        console.warn("History: No se pudo borrar la partida en curso.", error);
+      }
+    },
+
+    /**
+     * Deletes every finished run
+     */
+    clearHistory() {
+      clearRunHistory();
+      this.runs = [];
+    },
+
+    /**
+     * Saves the run in progress to localStorage so a reload does not lose it
+     */
+    persist() {
+      try {
+        localStorage.setItem(CURRENT_RUN_STORAGE_KEY, JSON.stringify(this.currentRun));
+      } catch (error) {
+        console.warn("History: No se pudo guardar la partida en curso.", error);
+      }
+    },
+  },
+});
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Input actions for Dice or Die.
+ * Plays the game from the keyboard and from gamepads (browser Gamepad API) as well as with the
+ * mouse: key and button presses are looked up in the bindings of utils/inputBindings and turned
+ * into the same actions the on-screen buttons use. Also captures new bindings for the settings.
+ * @module stores/input
+ */
+import { defineStore } from "pinia";
+import { watch } from "vue";
+import {
+  INPUT_ACTIONS,
+  clearBindings,
+  findBoundActions,
+  formatBinding,
+  loadBindings,
+  saveBindings,
+} from "../utils/inputBindings";
+
+/** @const {string[]} Elements whose keys belong to the element, never to the game */
+const TEXT_INPUT_TAGS = ["INPUT", "SELECT", "TEXTAREA"];
+
+// Game store played by the inputs while the game screen is open; kept out of the state
+let trackedGame = null;
+// Stops the watcher that drops the picked die when the turn or the bag changes
+let stopWatchingBag = null;
+// Whether the window listeners are attached, and the frame of the next gamepad poll
+let listening = false;
+let pollFrame = null;
+// Buttons held on each gamepad at the last poll, so a held button only acts once
+let heldButtons = {};
+
+/**
+ * Input store definition using Pinia
+ * Keeps the bindings, the die picked with "cycle dice" and the binding being captured
+ */
+export const useInputStore = defineStore("input", {
+  state: () => ({
+    /** @type {{keyboard: Object.<string, string[]>, gamepad: Object.<string, number[]>}} */
+    bindings: loadBindings(),
+    /** @type {number|null} Bag index of the die "roll" throws, null for the normal die */
+    selectedDie: null,
+    /** @type {{device: string, id: string}|null} Binding waiting for a key or a button */
+    capturing: null,
+    /** @type {boolean} Whether a gamepad is connected; hints show its buttons then */
+    gamepadConnected: false,
+  }),
+
+  getters: {
+    /**
+     * Hint of the first key (or gamepad button, when one is connected) bound to an action
+     * @returns {function(string): string} Label for an action id, "" when it is unbound
+     */
+    hintFor(state) {
+      return (id) => {
+        const device = state.gamepadConnected ? "gamepad" : "keyboard";
+        const code = state.bindings[device][id]?.[0];
+        return code == null ? "" : formatBinding(device, code);
+      };
+    },
+  },
+
+  actions: {
+    /**
+     * Lets the keyboard and gamepads play a run; called when the game screen opens
+     * @param {Object} gameStore - Game store to play
+     */
+    trackGame(gameStore) {
+      stopWatchingBag?.();
+      trackedGame = gameStore;
+      this.selectedDie = null;
+      // The picked die is an index into the active player's bag: it means nothing once another
+      // player takes the turn or a die is gained, lost, stolen or sold
+      stopWatchingBag = watch(
+        () => `${gameStore.currentPlayerIndex}:${gameStore.reservedDice.length}`,
+        () => this.clearSelectedDie(),
+        { flush: "sync" }
+      );
+      this.startListening();
+    },
+
+    /**
+     * Stops playing the run from the keyboard and gamepads; called when the game screen closes
+     */
+    untrackGame() {
+      stopWatchingBag?.();
+      stopWatchingBag = null;
+      trackedGame?.clearHighlightedSquare();
+      trackedGame = null;
+      this.selectedDie = null;
+      if (!this.capturing) this.stopListening();
+    },
+
+    /**
+     * Attaches the keyboard and gamepad listeners, once
+     */
+    startListening() {
+      if (listening || typeof window === "undefined") return;
+      listening = true;
+      window.addEventListener("keydown", this.handleKeydown);
+      window.addEventListener("gamepadconnected", this.pollGamepads);
+      window.addEventListener("gamepaddisconnected", this.pollGamepads);
+      this.pollGamepads();
+    },
+
+    /**
+     * Removes the listeners and stops polling the gamepads
+     */
+    stopListening() {
+      if (!listening) return;
+      listening = false;
+      window.removeEventListener("keydown", this.handleKeydown);
+      window.removeEventListener("gamepadconnected", this.pollGamepads);
+      window.removeEventListener("gamepaddisconnected", this.pollGamepads);
+      if (pollFrame !== null) cancelAnimationFrame(pollFrame);
+      pollFrame = null;
+      heldButtons = {};
+    },
+
+    /**
+     * Handles a key press: captures it as a binding, or plays the actions bound to it
+     * @param {KeyboardEvent} event - Key press
+     */
+    handleKeydown(event) {
+      if (TEXT_INPUT_TAGS.includes(event.target?.tagName)) return;
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const handled = () => {
+        event.preventDefault();
+        // A focused button would also be clicked by Space or Enter
+        if (event.target?.tagName === "BUTTON") event.target.blur();
+      };
+      if (this.capturing?.device === "keyboard") {
+        handled();
+        if (event.code !== "Escape") this.setBinding("keyboard", this.capturing.id, event.code);
+        this.finishCapture();
+        return;
+      }
+      if (!event.repeat && this.performBound("keyboard", event.code)) handled();
+    },
+
+    /**
+     * Reads the gamepads and acts on the buttons pressed since the last poll.
+     * Keeps polling once per frame while a gamepad is connected.
+     */
+    pollGamepads() {
+      if (pollFrame !== null) cancelAnimationFrame(pollFrame);
+      pollFrame = null;
+      const gamepads = [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+      this.gamepadConnected = gamepads.length > 0;
+      if (!listening || !this.gamepadConnected) return;
+
+      gamepads.forEach((gamepad) => {
+        const held = heldButtons[gamepad.index] ?? [];
+        const pressed = gamepad.buttons.map((button) => button.pressed);
+        pressed.forEach((isPressed, button) => {
+          if (isPressed && !held[button]) this.handleGamepadButton(button);
+        });
+        heldButtons[gamepad.index] = pressed;
+      });
+      pollFrame = requestAnimationFrame(this.pollGamepads);
+    },
+
+    /**
+     * Handles a gamepad button press: captures it as a binding, or plays the actions bound to it
+     * @param {number} button - Button index in the standard mapping
+     */
+    handleGamepadButton(button) {
+      if (this.capturing?.device === "gamepad") {
+        this.setBinding("gamepad", this.capturing.id, button);
+        this.finishCapture();
+        return;
+      }
+      this.performBound("gamepad", button);
+    },
+
+    /**
+     * Plays the first action bound to a key or button that can be played right now
+     * @param {string} device - "keyboard" or "gamepad"
+     * @param {string|number} code - Key code or button index
+     * @returns {boolean} Whether an action was played
+     */
+    performBound(device, code) {
+      return findBoundActions(this.bindings, device, code).some(({ id }) => this.perform(id));
+    },
+
+    /**
+     * Plays an input action on the tracked run
+     * @param {string} id - Action id, see INPUT_ACTIONS
+     * @returns {boolean} Whether the action could be played in the current phase
+     */
+    perform(id) {
+      const input = INPUT_ACTIONS.find((action) => action.id === id);
+      if (!trackedGame || !input) return false;
+      switch (input.action) {
+        case "roll":
+          return this.selectedDie === null ? this.rollNormalDie() : this.useDie(this.selectedDie);
+        case "useDie":
+          return this.useDie(input.index);
+        case "cycleDice":
+          return this.cycleDice();
+        case "pickChoice":
+          return this.pickChoice(input.index);
+        case "bribe":
+          return this.bribe();
+        case "toggleSpeed":
+          trackedGame.toggleAnimationSpeed();
+          return true;
+        default:
+          return false;
+      }
+    },
+
+    /**
+     * Rolls the normal die: moves, throws at the boss or tries to escape from jail
+     * @returns {boolean} Whether the die was rolled
+     */
+    rollNormalDie() {
+      const game = trackedGame;
+      if (!game || game.isGameOver || game.isAnimating || !game.assetsLoaded) return false;
+      if (!["rolling", "boss_encounter", "jailed"].includes(game.gamePhase)) return false;
+      if (game.gamePhase === "boss_encounter" && game.remainingBossRolls <= 0) return false;
+      this.selectedDie = null;
+      game.rollDice();
+      return true;
+    },
+
+    /**
+     * Uses a die of the bag: moves with it, or throws it at the boss
+     * @param {number} index - Bag index of the die
+     * @returns {boolean} Whether the die was used
+     */
+    useDie(index) {
+      const game = trackedGame;
+      const die = game?.reservedDice[index];
+      if (!die || die.used || game.isGameOver || game.isAnimating) return false;
+
+      if (game.gamePhase === "boss_encounter" && !die.locked) {
+        this.selectedDie = null;
+        game.rollDiceForBoss(die);
+        return true;
+      }
+      if (game.gamePhase === "rolling") {
+        this.selectedDie = null;
+        game.rollDice(index);
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Picks the next die of the bag for "roll", ending with the normal die again.
+     * The board previews the move of the picked die, as when the mouse is over it.
+     * @returns {boolean} Whether the bag had dice to pick from
+     */
+    cycleDice() {
+      const game = trackedGame;
+      const count = game?.reservedDice.length ?? 0;
+      if (!count) {
+        this.selectedDie = null;
+        return false;
+      }
+      const next = this.selectedDie === null ? 0 : this.selectedDie + 1;
+      this.selectedDie = next < count ? next : null;
+      if (this.selectedDie === null) game.clearHighlightedSquare();
+      else game.highlightSquareForDie(game.reservedDice[this.selectedDie]);
+      return true;
+    },
+
+    /**
+     * Goes back to the normal die for "roll" and drops the board preview of the picked die
+     */
+    clearSelectedDie() {
+      if (this.selectedDie === null) return;
+      this.selectedDie = null;
+      trackedGame?.clearHighlightedSquare();
+    },
+
+    /**
+     * Picks an option of the choice on screen
+     * @param {number} index - Option index
+     * @returns {boolean} Whether the option was picked
+     */
+    pickChoice(index) {
+      const game = trackedGame;
+      const option = game?.choiceDetails?.options?.[index];
+      if (game?.gamePhase !== "awaiting_choice" || !option || option.disabled) return false;
+      game.playerMakesChoice(option);
+      return true;
+    },
+
+    /**
+     * Bribes the boss, or pays the bail while jailed
+     * @returns {boolean} Whether there was someone to pay
+     */
+    bribe() {
+      const game = trackedGame;
+      if (!game || game.isGameOver || game.isAnimating) return false;
+      if (game.gamePhase === "boss_encounter") {
+        game.payToDefeatBoss();
+        return true;
+      }
+      if (game.gamePhase === "jailed" && game.playerMoney >= game.jailBailCost) {
+        game.payBail();
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Waits for the next key or gamepad button to bind it to an action; Escape cancels
+     * @param {string} device - "keyboard" or "gamepad"
+     * @param {string} id - Action id, see INPUT_ACTIONS
+     */
+    captureBinding(device, id) {
+      this.capturing = { device, id };
+      this.startListening();
+    },
+
+    /**
+     * Stops waiting for a binding
+     */
+    finishCapture() {
+      this.capturing = null;
+      if (!trackedGame) this.stopListening();
+    },
+
+    /**
+     * Binds a key or button to an action, replacing its previous ones, and saves the bindings
+     * @param {string} device - "keyboard" or "gamepad"
+     * @param {string} id - Action id, see INPUT_ACTIONS
+     * @param {string|number} code - Key code or button index
+     */
+    setBinding(device, id, code) {
+      this.bindings[device][id] = [code];
+      saveBindings(this.bindings);
+      console.log("Input: Bound", device, id, code);
+    },
+
+    /**
+     * Goes back to the default bindings
+     */
+    resetBindings() {
+      clearBindings();
+      this.bindings = loadBindings();
+    },
+  },
+});
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Action recorder for Dice or Die.
+ * Records every player action of a run together with the state it produced, so a run can be
+ * exported, imported and played back step by step in the replay viewer.
+ * @module stores/recorder
+ */
+import { defineStore } from "pinia";
+import { isValidSnapshot, migrateSnapshot } from "../utils/saveGame";
+import { t } from "../utils/i18n";
+
+/** @const {string} localStorage key holding the timeline of the latest run */
+const TIMELINE_STORAGE_KEY = "dice-or-die:last-timeline";
+
+/**
+ * @const {number} Steps kept in a timeline. Each step holds a whole snapshot of the run, so older
+ * steps are dropped to keep the recording well under the localStorage quota.
+ */
+export const MAX_TIMELINE_STEPS = 150;
+
+/** @const {number} Current timeline format version */
+export const TIMELINE_VERSION = 1;
+
+/** @const {string[]} Game store actions recorded as timeline steps */
+export const RECORDED_ACTIONS = [
+  "rollDice",
+  "rollDiceForBoss",
+  "playerMakesChoice",
+  "payToDefeatBoss",
+  "payBail",
+];
+
+/** @const {string[]} Follow-up actions that finish the state of the previous step */
+const SETTLING_ACTIONS = ["defeatBoss", "failBossFight"];
+
+/**
+ * @typedef {Object} TimelineStep
+ * @property {string} action - Name of the game store action
+ * @property {Object} args - Serializable arguments the action was called with
+ * @property {string} at - ISO date of when the action was made
+ * @property {import("../utils/saveGame").RunSnapshot} snapshot - State produced by the action
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {number} version - Format version, see TIMELINE_VERSION
+ * @property {string} seed - Seed of the recorded run
+ * @property {string} createdAt - ISO date of when the run started
+ * @property {import("../utils/saveGame").RunSnapshot} initial - State before the first kept action
+ * @property {TimelineStep[]} steps - Recorded actions in order
+ * @property {number} [droppedSteps] - Earliest actions dropped to respect MAX_TIMELINE_STEPS
+ */
+
+/**
+ * Converts the raw arguments of a recorded action into plain JSON data
+ * @param {string} action - Name of the action
+ * @param {Array} args - Arguments the action was called with
+ * @param {Object} gameStore - Game store, read before the action runs
+ * @returns {Object} Serializable arguments
+ */
+function serializeArgs(action, args, gameStore) {
+  switch (action) {
+    case "rollDice":
+      return { reservedDieIndex: args[0] ?? -1 };
+    case "rollDiceForBoss":
+      return {
+        dieIndex: gameStore.reservedDice.indexOf(args[0]),
+        die: JSON.parse(JSON.stringify(args[0] ?? null)),
+      };
+    case "playerMakesChoice":
+      return { option: JSON.parse(JSON.stringify(args[0] ?? null)) };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Upgrades every snapshot of a timeline written by an older build
+ * @param {Timeline} timeline - Timeline as read from storage or a file
+ * @returns {Timeline} The migrated timeline
+ */
+function migrateTimeline(timeline) {
+  if (!timeline || typeof timeline !== "object" || !Array.isArray(timeline.steps)) return timeline;
+  return {
+    ...timeline,
+    initial: migrateSnapshot(timeline.initial),
+    steps: timeline.steps.map((step) => ({
+      ...step,
+      snapshot: migrateSnapshot(step?.snapshot),
+    })),
+  };
+}
+
+/**
+ * Checks that a value looks like a timeline this build can play back
+ * @param {*} timeline - Value to check
+ * @returns {boolean} Whether the timeline can be replayed
+ */
+export function isValidTimeline(timeline) {
+  return (
+    !!timeline &&
+    typeof timeline === "object" &&
+    timeline.version === TIMELINE_VERSION &&
+    isValidSnapshot(timeline.initial) &&
+    Array.isArray(timeline.steps) &&
+    timeline.steps.every(
+      (step) => typeof step?.action === "string" && isValidSnapshot(step.snapshot)
+    )
+  );
+}
+
+/**
+ * Recorder store definition using Pinia
+ * Keeps the timeline of the current run and handles its import/export
+ */
+export const useRecorderStore = defineStore("recorder", {
+  state: () => ({
+    /** @type {Timeline|null} Timeline of the current (or imported) run */
+    timeline: null,
+    /** @type {boolean} Whether the last attempt to save the timeline failed */
+    saveFailed: false,
+  }),
+
+  getters: {
+    /**
+     * Number of recorded steps
+     * @returns {number} Step count
+     */
+    stepCount(state) {
+      return state.timeline ? state.timeline.steps.length : 0;
+    },
+  },
+
+  actions: {
+    /**
+     * Starts recording the game store: new runs open a new timeline and every player action
+     * appends a step. Call it from a component setup so the subscription ends with it.
+     * @param {Object} gameStore - Game store to record
+     */
+    trackGame(gameStore) {
+      gameStore.$onAction(({ name, args, after }) => {
+        if (name === "initializeGame" || name === "resetGame") {
+          after(() => this.startTimeline(gameStore));
+        } else if (RECORDED_ACTIONS.includes(name)) {
+          const serializedArgs = serializeArgs(name, args, gameStore);
+          after(() => this.recordStep(name, serializedArgs, gameStore));
+        } else if (SETTLING_ACTIONS.includes(name)) {
+          after(() => this.refreshLastStep(gameStore));
+        }
+      });
+    },
+
+    /**
+     * Opens a new timeline from the current state of the game store
+     * @param {Object} gameStore - Game store at the start of the run
+     */
+    startTimeline(gameStore) {
+      this.timeline = {
+        version: TIMELINE_VERSION,
+        seed: gameStore.seed,
+        createdAt: new Date().toISOString(),
+        initial: gameStore.toSnapshot(),
+        steps: [],
+      };
+      this.persist(gameStore);
+    },
+
+    /**
+     * Continues the stored timeline of a resumed run, or opens a new one if it belongs to
+     * another run
+     * @param {Object} gameStore - Game store restored from a saved run
+     */
+    resumeTimeline(gameStore) {
+      const stored = this.loadStoredTimeline();
+      if (stored && stored.seed === gameStore.seed) {
+        this.timeline = stored;
+      } else {
+        this.startTimeline(gameStore);
+      }
+    },
+
+    /**
+     * Appends a step with the state produced by an action
+     * Actions that changed nothing (e.g. clicks while animating) are not recorded
+     * @param {string} action - Name of the action
+     * @param {Object} args - Serialized arguments
+     * @param {Object} gameStore - Game store after the action
+     */
+    recordStep(action, args, gameStore) {
+      if (!this.timeline) this.startTimeline(gameStore);
+      const snapshot = gameStore.toSnapshot();
+      const steps = this.timeline.steps;
+      const previous = steps.length ? steps[steps.length - 1].snapshot : this.timeline.initial;
+      if (JSON.stringify(previous.state) === JSON.stringify(snapshot.state)) return;
+      steps.push({ action, args, at: snapshot.savedAt, snapshot });
+      if (steps.length > MAX_TIMELINE_STEPS) {
+        // The state after the oldest kept step becomes the start of the playback
+        const dropped = steps.splice(0, steps.length - MAX_TIMELINE_STEPS);
+        this.timeline.initial = dropped[dropped.length - 1].snapshot;
+        this.timeline.droppedSteps = (this.timeline.droppedSteps ?? 0) + dropped.length;
+      }
+      this.persist(gameStore);
+    },
+
+    /**
+     * Updates the last step once follow-up actions (boss defeat or failure) have settled
+     * @param {Object} gameStore - Game store after the follow-up action
+     */
+    refreshLastStep(gameStore) {
+      const steps = this.timeline?.steps;
+      if (!steps || !steps.length) return;
+      steps[steps.length - 1].snapshot = gameStore.toSnapshot();
+      this.persist(gameStore);
+    },
+
+    /**
+     * Serializes the timeline for download
+     * @returns {string} Timeline as pretty-printed JSON
+     */
+    exportTimeline() {
+      return JSON.stringify(this.timeline, null, 2);
+    },
+
+    /**
+     * Loads a timeline from JSON text
+     * @param {string} text - Timeline JSON
+     * @throws {Error} If the text is not a valid timeline
+     */
+    importTimeline(text) {
+      let parsed;
+      try {
+        parsed = migrateTimeline(JSON.parse(text));
+      } catch {
+        throw new Error(t("validation.invalidJson"));
+      }
+      if (!isValidTimeline(parsed)) {
+        throw new Error(t("replay.incompatible"));
+      }
+      this.timeline = parsed;
+    },
+
+    /**
+     * Loads the timeline of the latest recorded run from localStorage
+     * @returns {Timeline|null} Stored timeline or null
+     */
+    loadStoredTimeline() {
+      try {
+        const raw = localStorage.getItem(TIMELINE_STORAGE_KEY);
+        const parsed = raw ? migrateTimeline(JSON.parse(raw)) : null;
+        return isValidTimeline(parsed) ? parsed : null;
+      } catch (error) {
+        console.warn("Recorder: No se pudo leer la grabación guardada.", error);
+        return null;
+      }
+    },
+
+    /**
+     * Saves the timeline to localStorage so it survives reloads. The first failure is logged
+     * in the run's event feed, so the player knows the replay will not be kept.
+     * @param {Object} [gameStore] - Game store of the recorded run
+     */
+    persist(gameStore) {
+      try {
+        localStorage.setItem(TIMELINE_STORAGE_KEY, JSON.stringify(this.timeline));
+        this.saveFailed = false;
+      } catch (error) {
+        console.warn("Recorder: No se pudo guardar la grabación.", error);
+        if (!this.saveFailed) gameStore?.logEvent("info", "replay.saveFailed");
+        this.saveFailed = true;
+      }
+    },
+  },
+});
@@ -0,0 +1,178 @@
+// src/utils/achievements.js
+import { t } from "./i18n";
+
+/** @const {number} Money held at once to unlock "Cofre lleno" */
+const RICH_MONEY = 200;
+
+/** @const {number} Laps in a row without losing money to unlock "Puño cerrado" */
+const THRIFTY_LAPS = 3;
+
+/** @const {number} Traps stepped on in one lap to unlock "Imán de trampas" */
+const TRAP_MAGNET_TRAPS = 3;
+
+/**
+ * @typedef {Object} RunProgress
+ * Counters the achievements store keeps for each player of the run in play
+ * @property {string} lap - Stage and lap being played, e.g. "2-3"
+ * @property {number} trapsThisLap - Traps that took money this lap
+ * @property {boolean} spentThisLap - Whether the player's money went down this lap
+ * @property {number} cleanLaps - Laps in a row finished without the money going down
+ * @property {number} lastMoney - Money seen at the previous check
+ */
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} id - Unique identifier, used as the storage key
+ * @property {string} name - Display name
+ * @property {string} emoji - Icon shown in the gallery and the toast
+ * @property {string} description - How to unlock it
+ * @property {function(Object, RunProgress): boolean} isReached - Checked against the game store
+ *   after every player action
+ */
+
+/**
+ * Whether the run was won by the player whose state is loaded in the store
+ * @param {Object} store - Game store
+ * @returns {boolean} True after a victory
+ */
+function hasWonRun(store) {
+  return store.gamePhase === "game_won" && store.activePlayer?.status === "finished";
+}
+
+/**
+ * Every achievement a player can unlock
+ * @type {Achievement[]}
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: "first_boss",
+    emoji: "⚔️",
+    get name() {
+      return t("achievements.first_boss.name");
+    },
+    get description() {
+      return t("achievements.first_boss.description");
+    },
+    isReached: (store) => store.bossesDefeated >= 1,
+  },
+  {
+    id: "perfect_boss",
+    emoji: "🎯",
+    get name() {
+      return t("achievements.perfect_boss.name");
+    },
+    get description() {
+      return t("achievements.perfect_boss.description");
+    },
+    isReached: (store) => store.perfectBossDefeats >= 1,
+  },
+  {
+    id: "rich",
+    emoji: "💰",
+    get name() {
+      return t("achievements.rich.name");
+    },
+    get description() {
+      return t("achievements.rich.description", { money: RICH_MONEY });
+    },
+    isReached: (store) => store.playerMoney >= RICH_MONEY,
+  },
+  {
+    id: "thrifty",
+    emoji: "✊",
+    get name() {
+      return t("achievements.thrifty.name");
+    },
+    get description() {
+      return t("achievements.thrifty.description", { laps: THRIFTY_LAPS });
+    },
+    isReached: (store, progress) => progress.cleanLaps >= THRIFTY_LAPS,
+  },
+  {
+    id: "trap_magnet",
+    emoji: "🧲",
+    get name() {
+      return t("achievements.trap_magnet.name");
+    },
+    get description() {
+      return t("achievements.trap_magnet.description", { traps: TRAP_MAGNET_TRAPS });
+    },
+    isReached: (store, progress) => progress.trapsThisLap >= TRAP_MAGNET_TRAPS,
+  },
+  {
+    id: "no_bribes",
+    emoji: "😇",
+    get name() {
+      return t("achievements.no_bribes.name");
+    },
+    get description() {
+      return t("achievements.no_bribes.description");
+    },
+    isReached: (store) => hasWonRun(store) && store.bribesBosses === 0,
+  },
+  {
+    id: "full_bag",
+    emoji: "🎒",
+    get name() {
+      return t("achievements.full_bag.name");
+    },
+    get description() {
+      return t("achievements.full_bag.description");
+    },
+    isReached: (store) => hasWonRun(store) && store.reservedDice.length >= store.maxDiceInBag,
+  },
+  {
+    id: "relic_hunter",
+    emoji: "🏺",
+    get name() {
+      return t("achievements.relic_hunter.name");
+    },
+    get description() {
+      return t("achievements.relic_hunter.description");
+    },
+    isReached: (store) => hasWonRun(store) && store.gameOverCause === "relics",
+  },
+];
+
+/**
+ * Finds an achievement by id
+ * @param {string} achievementId - Achievement id
+ * @returns {Achievement|undefined} The achievement, if it exists
+ */
+export function getAchievement(achievementId) {
+  return ACHIEVEMENTS.find((achievement) => achievement.id === achievementId);
+}
+
+/**
+ * Creates the counters of a player the first time they are seen in a run
+ * @param {Object} store - Game store with the player loaded
+ * @returns {RunProgress} Fresh counters
+ */
+export function createRunProgress(store) {
+  return {
+    lap: `${store.playerStage}-${store.playerLap}`,
+    trapsThisLap: 0,
+    spentThisLap: false,
+    cleanLaps: 0,
+    lastMoney: store.playerMoney,
+  };
+}
+
+/**
+ * Updates the counters of a player with the state loaded in the store
+ * @param {RunProgress} progress - Counters of the active player, updated in place
+ * @param {Object} store - Game store
+ * @param {boolean} [landedOnTrap] - Whether the last move ended on a trap that took money
+ */
+export function updateRunProgress(progress, store, landedOnTrap = false) {
+  const lap = `${store.playerStage}-${store.playerLap}`;
+  if (progress.lap !== lap) {
+    progress.cleanLaps = progress.spentThisLap ? 0 : progress.cleanLaps + 1;
+    progress.lap = lap;
+    progress.trapsThisLap = 0;
+    progress.spentThisLap = false;
+  }
+  if (store.playerMoney < progress.lastMoney) progress.spentThisLap = true;
+  progress.lastMoney = store.playerMoney;
+  if (landedOnTrap) progress.trapsThisLap++;
+}
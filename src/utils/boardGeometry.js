@@ -0,0 +1,89 @@
+// src/utils/boardGeometry.js
+// Square ids run around the perimeter: Down -> Right -> Up -> Left, starting top-left at 0
+
+/**
+ * Counts the squares on the perimeter of a board
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {number} Number of squares
+ */
+export function countPerimeterSquares(rows, cols) {
+  if (!rows || !cols) return 0;
+  if (rows <= 1 || cols <= 1) return rows * cols;
+  return 2 * rows + 2 * cols - 4;
+}
+
+/**
+ * Gets the ids of the corner squares: start, bottom-left, bottom-right and top-right
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {number[]} Corner square ids, empty for boards without corners
+ */
+export function getCornerSquareIds(rows, cols) {
+  if (!rows || !cols || rows <= 1 || cols <= 1) return [];
+  return [0, rows - 1, rows - 1 + (cols - 1), rows - 1 + (cols - 1) + (rows - 1)];
+}
+
+/**
+ * Gets the 1-indexed grid row and column of a square.
+ * Used to place both the squares and the player markers on the CSS grid.
+ * @param {number} squareId - Square id
+ * @param {number} R - Number of rows
+ * @param {number} C - Number of columns
+ * @returns {{r: number, c: number}} Grid position
+ */
+export function getSquareGridPosition(squareId, R, C) {
+  if (R <= 1 || C <= 1) {
+    if (R === 1) return { r: 1, c: squareId + 1 };
+    if (C === 1) return { r: squareId + 1, c: 1 };
+    return { r: 1, c: 1 };
+  }
+  if (squareId >= 0 && squareId < R) {
+    // Left Column
+    return { r: squareId + 1, c: 1 };
+  } else if (squareId >= R && squareId < R + C - 1) {
+    // Bottom Row
+    return { r: R, c: squareId - R + 2 };
+  } else if (squareId >= R + C - 1 && squareId < R + C - 1 + R - 1) {
+    // Right Column
+    return { r: R - 1 - (squareId - (R + C - 1)), c: C };
+  } else if (squareId >= R + C - 1 + R - 1 && squareId < countPerimeterSquares(R, C)) {
+    // Top Row
+    return { r: 1, c: C - 1 - (squareId - (R + C - 1 + R - 1)) };
+  }
+  console.warn(
+    "getSquareGridPosition: Could not determine grid position for squareId:",
+    squareId,
+    "R:",
+    R,
+    "C:",
+    C
+  );
+  return { r: 1, c: 1 };
+}
+
+/**
+ * Builds the squares of an empty board: the start, the three corners and plain squares
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {Object[]} Board squares in id order
+ */
+export function createPerimeterSquares(rows, cols) {
+  const corners = getCornerSquareIds(rows, cols);
+  const squares = [];
+  for (let i = 0; i < countPerimeterSquares(rows, cols); i++) {
+    let baseType = "normal";
+    if (i === corners[0]) baseType = "start";
+    else if (i === corners[1]) baseType = "corner_bl";
+    else if (i === corners[2]) baseType = "corner_br";
+    else if (i === corners[3]) baseType = "corner_tr";
+    squares.push({
+      id: i,
+      baseType,
+      currentEffectType: "none",
+      isTempBad: false,
+      effectDetails: null,
+    });
+  }
+  return squares;
+}
@@ -0,0 +1,317 @@
+// src/utils/boardLayouts.js
+import { countPerimeterSquares, getCornerSquareIds } from "./boardGeometry";
+import { t } from "./i18n";
+
+/** @const {string} localStorage key holding the boards built in the editor */
+const BOARDS_STORAGE_KEY = "dice-or-die:boards";
+
+/** @const {number} Smallest board side the editor allows */
+export const MIN_BOARD_SIDE = 3;
+
+/** @const {number} Largest board side the editor allows */
+export const MAX_BOARD_SIDE = 10;
+
+/**
+ * @typedef {Object} BoardEffect
+ * @property {string} effectType - Value stored in the square's `currentEffectType`
+ * @property {string} name - Display name in the editor
+ * @property {string} emoji - Icon shown on the square
+ * @property {string} [detail] - `effectDetails` field the designer sets, e.g. "amount"
+ * @property {number} [defaultValue] - Value of that field for a freshly painted square
+ */
+
+/**
+ * Effects a designer can paint on a square
+ * @type {BoardEffect[]}
+ */
+export const BOARD_EFFECTS = [
+  { effectType: "none", emoji: "▫️" },
+  {
+    effectType: "normal_money",
+    emoji: "🪙",
+    detail: "amount",
+    defaultValue: 2,
+  },
+  {
+    effectType: "huge_money",
+    emoji: "💰",
+    detail: "amount",
+    defaultValue: 30,
+  },
+  {
+    effectType: "temp_bad_lap",
+    emoji: "💀",
+    detail: "penalty",
+    defaultValue: 10,
+  },
+  { effectType: "choice_dice_money", emoji: "🎲" },
+  { effectType: "choice_pick_die", emoji: "🎁" },
+  { effectType: "relic", emoji: "🏺" },
+].map((effect) => ({
+  ...effect,
+  get name() {
+    return t(`boardEffects.${this.effectType}`);
+  },
+}));
+
+/**
+ * @typedef {Object} DesignedSquare
+ * @property {number} id - Square id on the perimeter
+ * @property {string} effectType - Effect, see BOARD_EFFECTS
+ * @property {Object|null} effectDetails - e.g. { amount: 5 } or { penalty: 10 }
+ */
+
+/**
+ * @typedef {Object} StageBoard
+ * @property {DesignedSquare[]} squares - Effects of the squares that are not corners
+ * @property {number[]} randomLaps - Laps that ignore the design and roll random effects
+ */
+
+/**
+ * @typedef {Object} BoardLayout
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {number} rows - Number of rows
+ * @property {number} cols - Number of columns
+ * @property {number} lapsToComplete - The boss shows up when the lap counter reaches this value
+ * @property {number[]} randomLaps - Laps that ignore the design and roll random effects
+ * @property {DesignedSquare[]} squares - Effects of the squares that are not corners
+ */
+
+/**
+ * Finds a board effect by type
+ * @param {string} effectType - Effect type
+ * @returns {BoardEffect|undefined} The effect, if the editor knows it
+ */
+export function getBoardEffect(effectType) {
+  return BOARD_EFFECTS.find((effect) => effect.effectType === effectType);
+}
+
+/**
+ * Builds the details of a painted square, using the effect's default value when none is given
+ * @param {string} effectType - Effect type
+ * @param {number} [value] - Amount or penalty chosen by the designer
+ * @returns {Object|null} Square effect details
+ */
+export function buildEffectDetails(effectType, value) {
+  const effect = getBoardEffect(effectType);
+  if (!effect?.detail) return null;
+  return { [effect.detail]: value ?? effect.defaultValue };
+}
+
+/**
+ * Lists the ids of the squares a designer can paint (every square but the corners)
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {number[]} Editable square ids
+ */
+export function getEditableSquareIds(rows, cols) {
+  const corners = getCornerSquareIds(rows, cols);
+  return Array.from({ length: countPerimeterSquares(rows, cols) }, (_, id) => id).filter(
+    (id) => !corners.includes(id)
+  );
+}
+
+/**
+ * Creates a board covered in small money squares, the starting point of the editor
+ * @param {number} [rows] - Number of rows
+ * @param {number} [cols] - Number of columns
+ * @returns {BoardLayout} New layout
+ */
+export function createBoardLayout(rows = 6, cols = 6) {
+  return {
+    id: `board-${Date.now().toString(36)}`,
+    name: t("boards.newBoard"),
+    rows,
+    cols,
+    lapsToComplete: 3,
+    randomLaps: [],
+    squares: getEditableSquareIds(rows, cols).map((id) => ({
+      id,
+      effectType: "normal_money",
+      effectDetails: buildEffectDetails("normal_money"),
+    })),
+  };
+}
+
+/**
+ * Changes the size of a layout. Squares that keep their id keep their effect,
+ * new squares start as small money squares.
+ * @param {BoardLayout} layout - Layout to resize
+ * @param {number} rows - New number of rows
+ * @param {number} cols - New number of columns
+ * @returns {BoardLayout} Resized copy of the layout
+ */
+export function resizeBoardLayout(layout, rows, cols) {
+  const previous = new Map(layout.squares.map((square) => [square.id, square]));
+  return {
+    ...layout,
+    rows,
+    cols,
+    squares: getEditableSquareIds(rows, cols).map(
+      (id) =>
+        previous.get(id) ?? {
+          id,
+          effectType: "normal_money",
+          effectDetails: buildEffectDetails("normal_money"),
+        }
+    ),
+  };
+}
+
+/**
+ * Validates the designed squares and random laps of a board
+ * @param {StageBoard} board - Board to check
+ * @param {number} rows - Number of rows of the stage
+ * @param {number} cols - Number of columns of the stage
+ * @param {string} where - Location used in the messages, e.g. "Etapa 2"
+ * @returns {string[]} Error messages
+ */
+export function validateStageBoard(board, rows, cols, where) {
+  if (!board || typeof board !== "object") return [t("validation.boardNotObject", { where })];
+  const errors = [];
+  const editableIds = getEditableSquareIds(rows, cols);
+  if (!Array.isArray(board.squares)) {
+    errors.push(t("validation.boardSquares", { where }));
+  } else {
+    board.squares.forEach((square) => {
+      if (!editableIds.includes(square?.id)) {
+        errors.push(t("validation.squareNotEditable", { where, id: square?.id }));
+        return;
+      }
+      const effect = getBoardEffect(square.effectType);
+      if (!effect) {
+        errors.push(
+          t("validation.unknownEffect", { where, id: square.id, effect: square.effectType })
+        );
+        return;
+      }
+      const value = square.effectDetails?.[effect.detail];
+      if (effect.detail && !(Number.isInteger(value) && value >= 1)) {
+        errors.push(
+          t("validation.squareDetail", { where, id: square.id, detail: effect.detail })
+        );
+      }
+    });
+  }
+  const lapsAreValid =
+    Array.isArray(board.randomLaps) &&
+    board.randomLaps.every((lap) => Number.isInteger(lap) && lap >= 1);
+  if (!lapsAreValid) {
+    errors.push(t("validation.randomLaps", { where }));
+  }
+  return errors;
+}
+
+/**
+ * Validates a layout built in the editor
+ * @param {*} layout - Layout to check
+ * @returns {string[]} Readable error messages, empty when the layout is valid
+ */
+export function validateBoardLayout(layout) {
+  if (!layout || typeof layout !== "object") return [t("validation.layoutNotObject")];
+  const errors = [];
+  if (typeof layout.id !== "string" || !layout.id) {
+    errors.push(t("validation.text", { field: "id" }));
+  }
+  if (typeof layout.name !== "string" || !layout.name.trim()) {
+    errors.push(t("validation.text", { field: "name" }));
+  }
+  const sideIsValid = (side) =>
+    Number.isInteger(side) && side >= MIN_BOARD_SIDE && side <= MAX_BOARD_SIDE;
+  if (!sideIsValid(layout.rows) || !sideIsValid(layout.cols)) {
+    errors.push(t("validation.boardSides", { min: MIN_BOARD_SIDE, max: MAX_BOARD_SIDE }));
+    return errors;
+  }
+  if (!Number.isInteger(layout.lapsToComplete) || layout.lapsToComplete < 2) {
+    errors.push(t("validation.lapsToComplete"));
+  }
+  errors.push(...validateStageBoard(layout, layout.rows, layout.cols, t("validation.board")));
+  return errors;
+}
+
+/**
+ * Reads the boards saved from the editor
+ * @returns {BoardLayout[]} Saved layouts, skipping any that no longer validate
+ */
+export function loadBoardLayouts() {
+  try {
+    const raw = localStorage.getItem(BOARDS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed)
+      ? parsed.filter((layout) => validateBoardLayout(layout).length === 0)
+      : [];
+  } catch (error) {
+    console.warn("loadBoardLayouts: No se pudieron leer los tableros guardados.", error);
+    return [];
+  }
+}
+
+/**
+ * Finds a saved board
+ * @param {string} layoutId - Id of the layout
+ * @returns {BoardLayout|null} The layout, or null when it is not saved
+ */
+export function getBoardLayout(layoutId) {
+  return loadBoardLayouts().find((layout) => layout.id === layoutId) ?? null;
+}
+
+/**
+ * Writes the list of saved boards
+ * @param {BoardLayout[]} layouts - Layouts to keep
+ */
+function storeBoardLayouts(layouts) {
+  try {
+    localStorage.setItem(BOARDS_STORAGE_KEY, JSON.stringify(layouts));
+  } catch (error) {
+    console.warn("saveBoardLayout: No se pudieron guardar los tableros.", error);
+  }
+}
+
+/**
+ * Saves a board, replacing an earlier save with the same id
+ * @param {BoardLayout} layout - Layout to save
+ * @throws {Error} With every problem found, one per line
+ */
+export function saveBoardLayout(layout) {
+  const errors = validateBoardLayout(layout);
+  if (errors.length) throw new Error(errors.join("\n"));
+  const others = loadBoardLayouts().filter((stored) => stored.id !== layout.id);
+  storeBoardLayouts([...others, layout]);
+}
+
+/**
+ * Removes a saved board
+ * @param {string} layoutId - Id of the layout
+ */
+export function deleteBoardLayout(layoutId) {
+  storeBoardLayouts(loadBoardLayouts().filter((stored) => stored.id !== layoutId));
+}
+
+/**
+ * Builds a campaign whose stages are all played on a designed board.
+ * Bosses and rewards still come from the campaign; size, laps and squares from the layout.
+ * @param {import("./campaigns").Campaign} campaign - Campaign providing the bosses
+ * @param {BoardLayout} layout - Board to play on
+ * @returns {import("./campaigns").Campaign} Campaign using the board
+ */
+export function applyBoardLayout(campaign, layout) {
+  return {
+    ...campaign,
+    id: `${campaign.id}-${layout.id}`,
+    name: `${campaign.name} · ${layout.name}`,
+    stages: campaign.stages.map((stage) => ({
+      ...stage,
+      rows: layout.rows,
+      cols: layout.cols,
+      lapsToComplete: layout.lapsToComplete,
+      board: {
+        squares: layout.squares.map((square) => ({
+          ...square,
+          effectDetails: square.effectDetails ? { ...square.effectDetails } : null,
+        })),
+        randomLaps: [...layout.randomLaps],
+      },
+    })),
+  };
+}
@@ -0,0 +1,81 @@
+// src/utils/boosts.js
+import { t } from "./i18n";
+
+/**
+ * @typedef {Object} Boost
+ * @property {string} id - Stable identifier stored in the player's `activeBoosts`
+ * @property {string} name - Display name
+ * @property {string} emoji - Icon for the badge and the choice modal
+ * @property {string} description - Short description of the effect
+ * @property {number} laps - Laps the boost lasts once picked
+ * @property {number} [value] - Strength of the effect (multiplier, extra slots...)
+ */
+
+/**
+ * @typedef {Object} ActiveBoost
+ * @property {string} id - Boost id, see BOOSTS
+ * @property {number} lapsRemaining - Lap completions left before it wears off
+ */
+
+/**
+ * Temporary boosts offered on choice squares. They wear off after a number of laps.
+ * @type {Boost[]}
+ */
+export const BOOSTS = [
+  {
+    id: "money_multiplier",
+    emoji: "💹",
+    laps: 2,
+    value: 2,
+    get name() {
+      return t("boosts.money_multiplier.name");
+    },
+    get description() {
+      return t("boosts.money_multiplier.description");
+    },
+  },
+  {
+    id: "trap_immunity",
+    emoji: "🛡️",
+    laps: 2,
+    get name() {
+      return t("boosts.trap_immunity.name");
+    },
+    get description() {
+      return t("boosts.trap_immunity.description");
+    },
+  },
+  {
+    id: "dice_plus_one",
+    emoji: "✋",
+    laps: 1,
+    value: 1,
+    get name() {
+      return t("boosts.dice_plus_one.name");
+    },
+    get description() {
+      return t("boosts.dice_plus_one.description");
+    },
+  },
+  {
+    id: "bigger_bag",
+    emoji: "🎒",
+    laps: 3,
+    value: 2,
+    get name() {
+      return t("boosts.bigger_bag.name");
+    },
+    get description() {
+      return t("boosts.bigger_bag.description");
+    },
+  },
+];
+
+/**
+ * Finds a boost by id
+ * @param {string} id - Boost id
+ * @returns {Boost|undefined} The boost, if it exists
+ */
+export function getBoost(id) {
+  return BOOSTS.find((boost) => boost.id === id);
+}
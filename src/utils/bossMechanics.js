@@ -0,0 +1,62 @@
+// src/utils/bossMechanics.js
+import { t } from "./i18n";
+
+/** @const {number} Faces of the boss attack die when the campaign does not set `attack` */
+export const DEFAULT_BOSS_ATTACK = 3;
+
+/**
+ * @typedef {Object} BossMechanic
+ * @property {string} emoji - Icon shown next to the rule on the boss overlay
+ * @property {[string, number, boolean, number?]} param - `bossDefeatCondition` field tuning the
+ *   rule: name, minimum, whether it must be an integer and an optional maximum
+ * @property {function(Object): string} describe - Explains the rule for a boss
+ */
+
+/**
+ * Special rules a boss can follow, keyed by the `bossMechanic` value of a stage.
+ * The game store applies them in `applyBossDefense` (before damage) and `applyBossMechanic`.
+ * @type {Object.<string, BossMechanic>}
+ */
+export const BOSS_MECHANICS = {
+  tax: {
+    emoji: "💸",
+    param: ["taxPerThrow", 1, true],
+    describe: (boss) => t("bossMechanics.tax", { tax: boss.taxPerThrow }),
+  },
+  steal: {
+    emoji: "🦹",
+    param: ["stealPercent", 1, true, 100],
+    describe: (boss) => t("bossMechanics.steal", { percent: boss.stealPercent }),
+  },
+  armor: {
+    emoji: "🛡️",
+    param: ["armor", 2, true],
+    describe: (boss) => t("bossMechanics.armor", { armor: boss.armor }),
+  },
+  jail: {
+    emoji: "⛓️",
+    param: ["lockBelow", 1, true],
+    describe: (boss) => t("bossMechanics.jail", { lockBelow: boss.lockBelow }),
+  },
+  heal: {
+    emoji: "🐉",
+    param: ["healPerThrow", 1, true],
+    describe: (boss) => t("bossMechanics.heal", { heal: boss.healPerThrow }),
+  },
+  reroll: {
+    emoji: "🐈‍⬛",
+    param: ["rerollAtLeast", 2, true],
+    describe: (boss) => t("bossMechanics.reroll", { rerollAtLeast: boss.rerollAtLeast }),
+  },
+};
+
+/**
+ * Explains the special rule of a boss, e.g. for the boss overlay
+ * @param {Object|null} boss - Current boss, with its `mechanic` and tuning fields
+ * @returns {string|null} Icon and rule, or null for bosses without one
+ */
+export function describeBossMechanic(boss) {
+  const mechanic = BOSS_MECHANICS[boss?.mechanic];
+  if (!mechanic) return null;
+  return `${mechanic.emoji} ${mechanic.describe(boss)}`;
+}
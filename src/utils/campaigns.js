@@ -0,0 +1,288 @@
+// src/utils/campaigns.js
+import defaultCampaign from "../campaigns/default.json";
+import { validateStageBoard } from "./boardLayouts";
+import { BOSS_MECHANICS } from "./bossMechanics";
+import { t, hasMessage } from "./i18n";
+
+/** @const {string} localStorage key holding the campaigns imported by the player */
+const CAMPAIGNS_STORAGE_KEY = "dice-or-die:campaigns";
+
+/** @const {string} localStorage key holding the id of the campaign used for new runs */
+const SELECTED_CAMPAIGN_STORAGE_KEY = "dice-or-die:selected-campaign";
+
+/**
+ * @typedef {Object} Campaign
+ * @property {string} id - Unique identifier (letters, numbers, "-" and "_")
+ * @property {string} name - Display name
+ * @property {string} [description] - Short description for the campaign list
+ * @property {import("../stores/game").StageConfig[]} stages - Stages in play order
+ */
+
+/** @type {Campaign} Campaign bundled with the game, the original stages */
+export const DEFAULT_CAMPAIGN = defaultCampaign;
+
+/**
+ * Numeric stage fields: [field, minimum, whether it must be an integer]
+ * @type {Array<[string, number, boolean]>}
+ */
+const STAGE_NUMBER_FIELDS = [
+  ["rows", 3, true],
+  ["cols", 3, true],
+  ["moneyMultiplier", 0.01, false],
+  // The boss shows up when the lap counter reaches this value, and runs start on lap 1
+  ["lapsToComplete", 2, true],
+  ["minBadSquares", 0, true],
+  ["maxBadSquares", 0, true],
+  ["minChoiceDiceMoneySquares", 0, true],
+  ["maxChoiceDiceMoneySquares", 0, true],
+  ["minChoicePickDieSquares", 0, true],
+  ["maxChoicePickDieSquares", 0, true],
+];
+
+/** @type {Array<[string, string]>} Min/max pairs that must be in order */
+const STAGE_RANGES = [
+  ["minBadSquares", "maxBadSquares"],
+  ["minChoiceDiceMoneySquares", "maxChoiceDiceMoneySquares"],
+  ["minChoicePickDieSquares", "maxChoicePickDieSquares"],
+];
+
+/** @type {Array<[string, number, boolean]>} Numeric boss fields, same shape as above */
+const BOSS_NUMBER_FIELDS = [
+  ["diceThrows", 1, true],
+  ["hp", 1, true],
+  ["bribeCost", 0, true],
+];
+
+/**
+ * Checks a numeric field and describes the problem, if any
+ * @param {string} where - Location used in the message, e.g. "Etapa 2"
+ * @param {Object} object - Object holding the field
+ * @param {[string, number, boolean, number?]} rule - Field name, minimum, integer flag and
+ *   optional maximum
+ * @returns {string|null} Error message or null
+ */
+function checkNumber(where, object, [field, min, integer, max]) {
+  const value = object[field];
+  const isValid =
+    typeof value === "number" &&
+    Number.isFinite(value) &&
+    value >= min &&
+    (max == null || value <= max) &&
+    (!integer || Number.isInteger(value));
+  if (isValid) return null;
+  const kind = t(integer ? "validation.integer" : "validation.number");
+  const range =
+    max == null ? t("validation.atLeast", { min }) : t("validation.between", { min, max });
+  return t("validation.numberField", {
+    where,
+    field,
+    kind,
+    range,
+    value: JSON.stringify(value),
+  });
+}
+
+/**
+ * Validates one stage of a campaign
+ * @param {Object} stage - Stage config to check
+ * @param {number} stageNumber - Stage number, starting at 1
+ * @returns {string[]} Error messages
+ */
+function validateStage(stage, stageNumber) {
+  const where = t("validation.stage", { stage: stageNumber });
+  if (!stage || typeof stage !== "object") return [t("validation.stageNotObject", { where })];
+  const errors = STAGE_NUMBER_FIELDS.map((rule) => checkNumber(where, stage, rule));
+  STAGE_RANGES.forEach(([minField, maxField]) => {
+    if (stage[minField] > stage[maxField]) {
+      errors.push(t("validation.minAboveMax", { where, minField, maxField }));
+    }
+  });
+  ["bossName", "bossImage"].forEach((field) => {
+    if (typeof stage[field] !== "string" || !stage[field].trim()) {
+      errors.push(t("validation.stageText", { where, field }));
+    }
+  });
+  const mechanic = BOSS_MECHANICS[stage.bossMechanic];
+  if (stage.bossMechanic != null && !mechanic) {
+    const options = Object.keys(BOSS_MECHANICS).join(", ");
+    errors.push(
+      t("validation.unknownMechanic", { where, mechanic: stage.bossMechanic, options })
+    );
+  }
+  if (stage.board != null) {
+    errors.push(...validateStageBoard(stage.board, stage.rows, stage.cols, where));
+  }
+  const boss = stage.bossDefeatCondition;
+  if (!boss || typeof boss !== "object") {
+    errors.push(t("validation.missingBoss", { where }));
+  } else {
+    const bossWhere = `${where}, bossDefeatCondition`;
+    BOSS_NUMBER_FIELDS.forEach((rule) => errors.push(checkNumber(bossWhere, boss, rule)));
+    // Every mechanic is tuned by one field of the boss, e.g. "lockBelow" for "jail"
+    if (mechanic) errors.push(checkNumber(bossWhere, boss, mechanic.param));
+    if (boss.attack != null) errors.push(checkNumber(bossWhere, boss, ["attack", 0, true]));
+  }
+  return errors.filter(Boolean);
+}
+
+/**
+ * Validates a campaign document
+ * @param {*} campaign - Parsed campaign JSON
+ * @returns {string[]} Readable error messages, empty when the campaign is valid
+ */
+export function validateCampaign(campaign) {
+  if (!campaign || typeof campaign !== "object" || Array.isArray(campaign)) {
+    return [t("validation.campaignNotObject")];
+  }
+  const errors = [];
+  if (typeof campaign.id !== "string" || !/^[\w-]+$/.test(campaign.id)) {
+    errors.push(t("validation.campaignId"));
+  }
+  if (typeof campaign.name !== "string" || !campaign.name.trim()) {
+    errors.push(t("validation.text", { field: "name" }));
+  }
+  if (!Array.isArray(campaign.stages) || campaign.stages.length === 0) {
+    errors.push(t("validation.stages"));
+  } else {
+    campaign.stages.forEach((stage, index) => errors.push(...validateStage(stage, index + 1)));
+  }
+  return errors;
+}
+
+/**
+ * Parses and validates campaign JSON text
+ * @param {string} text - Campaign JSON
+ * @returns {Campaign} The campaign
+ * @throws {Error} With every problem found, one per line
+ */
+export function parseCampaign(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error(t("validation.invalidJson"));
+  }
+  const errors = validateCampaign(parsed);
+  if (errors.length) throw new Error(errors.join("\n"));
+  return parsed;
+}
+
+/**
+ * Translates the texts of a campaign that the locales know, under `campaigns.<id>`: its name,
+ * description and boss names (`bosses.<stage>`). The bundled campaign is translated this way;
+ * texts without a translation, like those of imported campaigns, are kept as written.
+ * @param {Campaign} campaign - Campaign to translate
+ * @returns {Campaign} Translated copy
+ */
+export function localizeCampaign(campaign) {
+  const base = `campaigns.${campaign.id}`;
+  const text = (key, fallback) => (hasMessage(`${base}.${key}`) ? t(`${base}.${key}`) : fallback);
+  return {
+    ...campaign,
+    name: text("name", campaign.name),
+    description: text("description", campaign.description),
+    stages: campaign.stages.map((stage, index) => ({
+      ...stage,
+      bossName: text(`bosses.${index + 1}`, stage.bossName),
+    })),
+  };
+}
+
+/**
+ * Converts the stage list of a campaign to the stage-number map used by the game store,
+ * with the boss names in the language in use
+ * @param {Campaign} campaign - Campaign to convert
+ * @returns {Object.<number, import("../stores/game").StageConfig>} Stage configs keyed from 1
+ */
+export function campaignToStageConfigs(campaign) {
+  const stageConfigs = {};
+  localizeCampaign(campaign).stages.forEach((stage, index) => {
+    stageConfigs[index + 1] = stage;
+  });
+  return stageConfigs;
+}
+
+/**
+ * Reads the campaigns imported by the player, skipping any that no longer validate
+ * @returns {Campaign[]} Imported campaigns
+ */
+function loadImportedCampaigns() {
+  try {
+    const raw = localStorage.getItem(CAMPAIGNS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed)
+      ? parsed.filter((campaign) => validateCampaign(campaign).length === 0)
+      : [];
+  } catch (error) {
+    console.warn("loadCampaigns: No se pudieron leer las campañas guardadas.", error);
+    return [];
+  }
+}
+
+/**
+ * Writes the list of imported campaigns
+ * @param {Campaign[]} campaigns - Imported campaigns
+ */
+function storeImportedCampaigns(campaigns) {
+  try {
+    localStorage.setItem(CAMPAIGNS_STORAGE_KEY, JSON.stringify(campaigns));
+  } catch (error) {
+    console.warn("saveCampaign: No se pudieron guardar las campañas.", error);
+  }
+}
+
+/**
+ * Lists every campaign the player can pick, the bundled one first
+ * @returns {Campaign[]} Available campaigns
+ */
+export function loadCampaigns() {
+  return [DEFAULT_CAMPAIGN, ...loadImportedCampaigns()];
+}
+
+/**
+ * Stores an imported campaign, replacing an earlier import with the same id
+ * @param {Campaign} campaign - Validated campaign
+ * @throws {Error} If the campaign would replace the bundled one
+ */
+export function saveImportedCampaign(campaign) {
+  if (campaign.id === DEFAULT_CAMPAIGN.id) {
+    throw new Error(t("validation.reservedCampaignId", { id: DEFAULT_CAMPAIGN.id }));
+  }
+  const others = loadImportedCampaigns().filter((stored) => stored.id !== campaign.id);
+  storeImportedCampaigns([...others, campaign]);
+}
+
+/**
+ * Removes an imported campaign; the bundled one cannot be removed.
+ * If it was selected, new runs fall back to the bundled campaign.
+ * @param {string} campaignId - Id of the campaign to remove
+ */
+export function deleteImportedCampaign(campaignId) {
+  storeImportedCampaigns(loadImportedCampaigns().filter((stored) => stored.id !== campaignId));
+}
+
+/**
+ * Gets the campaign used for new runs, falling back to the bundled one
+ * @returns {Campaign} Selected campaign
+ */
+export function getSelectedCampaign() {
+  let selectedId = null;
+  try {
+    selectedId = localStorage.getItem(SELECTED_CAMPAIGN_STORAGE_KEY);
+  } catch (error) {
+    console.warn("getSelectedCampaign: No se pudo leer la campaña elegida.", error);
+  }
+  return loadCampaigns().find((campaign) => campaign.id === selectedId) ?? DEFAULT_CAMPAIGN;
+}
+
+/**
+ * Picks the campaign used for new runs
+ * @param {string} campaignId - Id of the campaign
+ */
+export function selectCampaign(campaignId) {
+  try {
+    localStorage.setItem(SELECTED_CAMPAIGN_STORAGE_KEY, campaignId);
+  } catch (error) {
+    console.warn("selectCampaign: No se pudo guardar la campaña elegida.", error);
+  }
+}
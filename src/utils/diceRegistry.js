@@ -0,0 +1,241 @@
+// src/utils/diceRegistry.js
+import { t, hasMessage } from "./i18n";
+
+/**
+ * @typedef {Object} DieFace
+ * @property {number} value - Number shown on the face
+ * @property {number} weight - Relative chance of landing on this face
+ */
+
+/**
+ * @typedef {Object} DieDefinition
+ * @property {string} type - Value stored in `die.type`
+ * @property {number} direction - 1 moves the player forward, -1 backward
+ * @property {function(Object): DieFace[]} faces - Faces of a die instance
+ * @property {function(number, Object): number} bossDamage - Damage dealt to a boss by a result
+ * @property {function(Object): number} basePrice - Merchant price before stage scaling
+ * @property {function(Object): string} label - Display label of a die instance
+ * @property {function(Object): string|null} image - Image filename in public/assets/images/dice
+ * @property {string} [backwardType] - Type whose image is shown if this die ends up moving back
+ */
+
+/** @const {Object} Types */
+export const DICE_TYPES = {
+  NORMAL: "Random",
+  FIXED: "Fixed",
+  D20: "20",
+  REVERSE_FIXED: "Reverse Fixed",
+  REVERSE_RANDOM: "Reverse Random",
+  WEIGHTED_HIGH: "Weighted High",
+  WEIGHTED_LOW: "Weighted Low",
+  D8: "8",
+  D12: "12",
+  LOADED: "Loaded",
+};
+
+/**
+ * Builds evenly weighted faces from a list of values
+ * @param {number[]} values - Face values
+ * @returns {DieFace[]} Faces with weight 1
+ */
+export function evenFaces(values) {
+  return values.map((value) => ({ value, weight: 1 }));
+}
+
+/**
+ * Builds the faces 1..sides of a regular die
+ * @param {number} sides - Number of sides
+ * @param {number[]} [weights] - Weight per face, all 1 when omitted
+ * @returns {DieFace[]} Faces of the die
+ */
+function numberedFaces(sides, weights) {
+  return Array.from({ length: sides }, (_, i) => ({ value: i + 1, weight: weights?.[i] ?? 1 }));
+}
+
+/**
+ * Default label: the translated type followed by the fixed value, e.g. "Fixed (4)". Types
+ * without a translation, such as dice registered by plugins, show their raw type.
+ * @param {Object} die - Die data
+ * @returns {string} Die label
+ */
+function typeAndValueLabel(die) {
+  const key = `dice.types.${die.type}`;
+  const name = hasMessage(key) ? t(key) : die.type;
+  return `${name}${die.value !== undefined ? " (" + die.value + ")" : ""}`;
+}
+
+/** @type {Object.<string, DieDefinition>} */
+const registry = {};
+
+/**
+ * Adds a die type to the registry, or replaces the one with the same type.
+ * Only `type` and `faces` are required; the rest falls back to a forward die that hits bosses
+ * for its result, costs 5 coins and has no image.
+ * @param {Partial<DieDefinition>} definition - Die definition
+ * @returns {DieDefinition} The registered definition
+ */
+export function registerDieType(definition) {
+  if (!definition?.type || typeof definition.faces !== "function") {
+    throw new Error("registerDieType: Un dado necesita `type` y `faces`.");
+  }
+  registry[definition.type] = {
+    direction: 1,
+    bossDamage: (value) => value,
+    basePrice: () => 5,
+    label: typeAndValueLabel,
+    image: () => null,
+    ...definition,
+  };
+  return registry[definition.type];
+}
+
+/**
+ * Gets the definition of a die type; unknown types behave like a normal d6
+ * @param {string} type - Die type
+ * @returns {DieDefinition} The definition
+ */
+export function getDieDefinition(type) {
+  return registry[type] ?? registry[DICE_TYPES.NORMAL];
+}
+
+/**
+ * Lists every registered die type
+ * @returns {DieDefinition[]} Registered definitions
+ */
+export function getRegisteredDice() {
+  return Object.values(registry);
+}
+
+/**
+ * Rolls a die. Dice with a single possible result do not consume a random draw.
+ * @param {Object} die - Die data
+ * @param {function(): number} randomFloat - Source of floats in [0, 1), e.g. the seeded store RNG
+ * @returns {{value: number, direction: number}} Face rolled and movement direction
+ */
+export function rollDie(die, randomFloat) {
+  const definition = getDieDefinition(die.type);
+  const faces = definition.faces(die);
+  if (faces.length === 1) return { value: faces[0].value, direction: definition.direction };
+  const totalWeight = faces.reduce((sum, face) => sum + face.weight, 0);
+  let pick = randomFloat() * totalWeight;
+  for (const face of faces) {
+    pick -= face.weight;
+    if (pick < 0) return { value: face.value, direction: definition.direction };
+  }
+  return { value: faces[faces.length - 1].value, direction: definition.direction };
+}
+
+/**
+ * Gets the result of a die when it can only land on one value, e.g. fixed dice
+ * @param {Object} die - Die data
+ * @returns {number|null} The only possible result, or null when the die is random
+ */
+export function getPredictableResult(die) {
+  const values = new Set(
+    getDieDefinition(die.type)
+      .faces(die)
+      .filter((face) => face.weight > 0)
+      .map((face) => face.value)
+  );
+  return values.size === 1 ? [...values][0] : null;
+}
+
+/**
+ * Builds the display label of a die, e.g. "Fixed (4)"
+ * @param {Object} die - Die data
+ * @returns {string} Die label
+ */
+export function describeDie(die) {
+  return getDieDefinition(die.type).label(die);
+}
+
+/**
+ * Gets the face list of a loaded die, a plain d6 when it has none
+ * @param {Object} die - Loaded die data
+ * @returns {number[]} Face values
+ */
+function loadedFaces(die) {
+  return die.faces?.length ? die.faces : [1, 2, 3, 4, 5, 6];
+}
+
+// --- Built-in dice ---
+
+registerDieType({
+  type: DICE_TYPES.NORMAL,
+  faces: () => numberedFaces(6),
+  basePrice: () => 4,
+  image: () => "die_d6.png",
+  backwardType: DICE_TYPES.REVERSE_RANDOM,
+});
+
+registerDieType({
+  type: DICE_TYPES.FIXED,
+  faces: (die) => evenFaces([die.value || 1]),
+  // Fixed dice cost more the higher their value
+  basePrice: (die) => 4 + (die.value || 1),
+  image: (die) => `die_fixed_${die.value}.png`,
+  backwardType: DICE_TYPES.REVERSE_FIXED,
+});
+
+registerDieType({
+  type: DICE_TYPES.D20,
+  faces: () => numberedFaces(20),
+  basePrice: () => 14,
+  image: () => "die_d20.png",
+});
+
+registerDieType({
+  type: DICE_TYPES.REVERSE_FIXED,
+  direction: -1,
+  faces: (die) => evenFaces([die.value || 1]),
+  basePrice: (die) => 3 + (die.value || 1),
+  image: (die) => `die_fixed_reverse_${die.value}.png`,
+});
+
+registerDieType({
+  type: DICE_TYPES.REVERSE_RANDOM,
+  direction: -1,
+  faces: () => numberedFaces(6),
+  basePrice: () => 5,
+  image: () => "die_d6_reverse.png",
+});
+
+registerDieType({
+  type: DICE_TYPES.WEIGHTED_HIGH,
+  faces: () => numberedFaces(6, [1, 1, 1, 2, 2, 3]),
+  basePrice: () => 8,
+  label: () => t("dice.weightedHigh"),
+});
+
+registerDieType({
+  type: DICE_TYPES.WEIGHTED_LOW,
+  faces: () => numberedFaces(6, [3, 2, 2, 1, 1, 1]),
+  basePrice: () => 5,
+  label: () => t("dice.weightedLow"),
+});
+
+registerDieType({
+  type: DICE_TYPES.D8,
+  faces: () => numberedFaces(8),
+  basePrice: () => 7,
+  label: () => "D8",
+});
+
+registerDieType({
+  type: DICE_TYPES.D12,
+  faces: () => numberedFaces(12),
+  basePrice: () => 10,
+  label: () => "D12",
+});
+
+registerDieType({
+  type: DICE_TYPES.LOADED,
+  // Each loaded die carries its own face list, e.g. { type: "Loaded", faces: [2, 3, 6, 6, 6, 6] }
+  faces: (die) => evenFaces(loadedFaces(die)),
+  // Priced by the average of its faces
+  basePrice: (die) => {
+    const faces = loadedFaces(die);
+    return 4 + Math.round(faces.reduce((sum, face) => sum + face, 0) / faces.length);
+  },
+  label: (die) => t("dice.loaded", { faces: loadedFaces(die).join(",") }),
+});
@@ -0,0 +1,157 @@
+// src/utils/endless.js
+// Endless mode. Past the last stage of the campaign the run goes on through generated stages:
+// each one grows the last campaign stage along ENDLESS_CURVE and draws its boss and the boss's
+// special rule from a pool. A stage only depends on the run's seed and its number, so the same
+// seed always meets the same stages and a save only needs to know that the mode is on.
+import { hashSeed, nextRandom } from "./rng";
+import { t } from "./i18n";
+import { DEFAULT_BOSS_ATTACK } from "./bossMechanics";
+
+/** @const {string} localStorage key remembering whether new runs are endless */
+const ENDLESS_STORAGE_KEY = "dice-or-die:endless";
+
+/** @const {string} localStorage key holding the deepest stage reached in endless mode */
+const BEST_DEPTH_STORAGE_KEY = "dice-or-die:endless-best";
+
+/**
+ * Growth of the generated stages. `depth` is the number of stages past the campaign, 1 for the
+ * first generated one; boss numbers compound, so sooner or later every run ends.
+ * @const {Object}
+ * @property {number} bossGrowth - Share added to the boss `hp` and `bribeCost` per depth
+ * @property {number} moneyGrowth - Share added to `moneyMultiplier` per depth
+ * @property {number} boardGrowthEvery - Depths between board increases (+1 row, +2 columns)
+ * @property {number} maxRows - Rows of the largest generated board
+ * @property {number} maxCols - Columns of the largest generated board
+ * @property {number} badSquaresPerDepth - Bad squares added to both ends of the range per depth
+ * @property {number} maxBadSquares - Upper bound of the bad square range
+ * @property {number} attackGrowthEvery - Depths between increases of the boss attack die
+ */
+export const ENDLESS_CURVE = {
+  bossGrowth: 0.2,
+  moneyGrowth: 0.1,
+  boardGrowthEvery: 2,
+  maxRows: 14,
+  maxCols: 20,
+  badSquaresPerDepth: 1,
+  maxBadSquares: 16,
+  attackGrowthEvery: 3,
+};
+
+/**
+ * Special rules generated bosses can follow, keyed by `bossMechanic` (see utils/bossMechanics),
+ * with the `bossDefeatCondition` fields tuning the rule at a depth
+ * @type {Object.<string, function(number): Object>}
+ */
+export const ENDLESS_BOSS_MECHANICS = {
+  tax: (depth) => ({ taxPerThrow: 3 + depth }),
+  steal: (depth) => ({ stealPercent: Math.min(90, 40 + depth * 5) }),
+  armor: (depth) => ({ armor: Math.min(5, 2 + Math.ceil(depth / 3)) }),
+  jail: (depth) => ({ lockBelow: Math.min(5, 3 + Math.floor(depth / 3)) }),
+  heal: (depth) => ({ healPerThrow: 4 + depth }),
+  reroll: (depth) => ({ rerollAtLeast: Math.max(4, 6 - Math.floor(depth / 4)) }),
+};
+
+/**
+ * Generates a stage past the end of a campaign
+ * @param {import("../stores/game").StageConfig[]} stages - Stages of the campaign, in order;
+ *   their bosses are the pool generated bosses are drawn from
+ * @param {number} stageNumber - Number of the stage to generate, above `stages.length`
+ * @param {string} seed - Seed of the run
+ * @returns {import("../stores/game").StageConfig} Generated stage
+ */
+export function generateEndlessStage(stages, stageNumber, seed) {
+  let rngState = hashSeed(`${seed}:endless:${stageNumber}`);
+  const pick = (list) => {
+    const { value, state } = nextRandom(rngState);
+    rngState = state;
+    return list[Math.floor(value * list.length)];
+  };
+
+  const depth = stageNumber - stages.length;
+  const last = { ...stages[stages.length - 1] };
+  // Hand-designed boards only fit the size they were drawn for
+  delete last.board;
+  const boss = pick(stages);
+  const mechanic = pick(Object.keys(ENDLESS_BOSS_MECHANICS));
+  const bossScale = (1 + ENDLESS_CURVE.bossGrowth) ** depth;
+  const boardSteps = Math.floor(depth / ENDLESS_CURVE.boardGrowthEvery);
+  const badSquares = (count) =>
+    Math.min(ENDLESS_CURVE.maxBadSquares, count + depth * ENDLESS_CURVE.badSquaresPerDepth);
+  const lastBoss = last.bossDefeatCondition;
+
+  return {
+    ...last,
+    rows: Math.min(ENDLESS_CURVE.maxRows, last.rows + boardSteps),
+    cols: Math.min(ENDLESS_CURVE.maxCols, last.cols + boardSteps * 2),
+    moneyMultiplier:
+      Math.round(last.moneyMultiplier * (1 + ENDLESS_CURVE.moneyGrowth) ** depth * 100) / 100,
+    minBadSquares: badSquares(last.minBadSquares),
+    maxBadSquares: badSquares(last.maxBadSquares),
+    bossName: t("endless.bossName", { boss: boss.bossName, depth }),
+    bossImage: boss.bossImage,
+    bossMechanic: mechanic,
+    bossDefeatCondition: {
+      diceThrows: lastBoss.diceThrows,
+      hp: Math.round(lastBoss.hp * bossScale),
+      bribeCost: Math.round(lastBoss.bribeCost * bossScale),
+      attack:
+        (lastBoss.attack ?? DEFAULT_BOSS_ATTACK) +
+        Math.floor(depth / ENDLESS_CURVE.attackGrowthEvery),
+      ...ENDLESS_BOSS_MECHANICS[mechanic](depth),
+    },
+  };
+}
+
+/**
+ * Whether new runs are played in endless mode
+ * @returns {boolean} True when the player switched endless mode on
+ */
+export function isEndlessSelected() {
+  try {
+    return localStorage.getItem(ENDLESS_STORAGE_KEY) === "true";
+  } catch (error) {
+    console.warn("isEndlessSelected: No se pudo leer el modo infinito.", error);
+    return false;
+  }
+}
+
+/**
+ * Switches endless mode on or off for new runs
+ * @param {boolean} endless - Whether new runs are endless
+ */
+export function selectEndless(endless) {
+  try {
+    localStorage.setItem(ENDLESS_STORAGE_KEY, String(!!endless));
+  } catch (error) {
+    console.warn("selectEndless: No se pudo guardar el modo infinito.", error);
+  }
+}
+
+/**
+ * Gets the deepest stage reached in endless mode
+ * @returns {number} Stage number, 0 before the first endless run
+ */
+export function getBestEndlessDepth() {
+  try {
+    const depth = Number(localStorage.getItem(BEST_DEPTH_STORAGE_KEY));
+    return Number.isInteger(depth) && depth > 0 ? depth : 0;
+  } catch (error) {
+    console.warn("getBestEndlessDepth: No se pudo leer el récord.", error);
+    return 0;
+  }
+}
+
+/**
+ * Keeps the stage reached by an endless run if it is the deepest so far
+ * @param {number} stage - Furthest stage reached by the run
+ * @returns {boolean} Whether the run set a new record
+ */
+export function recordEndlessDepth(stage) {
+  if (stage <= getBestEndlessDepth()) return false;
+  try {
+    localStorage.setItem(BEST_DEPTH_STORAGE_KEY, String(stage));
+  } catch (error) {
+    console.warn("recordEndlessDepth: No se pudo guardar el récord.", error);
+  }
+  return true;
+}
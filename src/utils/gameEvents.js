@@ -0,0 +1,81 @@
+// src/utils/gameEvents.js
+// Event feed of a run. Every change of the game state the player should know about (money,
+// dice, traps, laps, boss fights...) is logged by the game store as a typed event. The log panel
+// lists them and the banner message is built from the latest ones, see `gameMessage`.
+import { t } from "./i18n";
+
+/** @const {number} Events kept in the store; older ones are dropped */
+export const MAX_GAME_EVENTS = 60;
+
+/** @const {number} Events kept in saved runs and replay snapshots, to keep them small */
+export const MAX_SAVED_GAME_EVENTS = 20;
+
+/**
+ * @typedef {Object} GameEvent
+ * @property {number} id - Increasing number, unique within the run
+ * @property {string} type - Event type, see GAME_EVENT_TYPES
+ * @property {string} [key] - i18n key of the message, translated when shown
+ * @property {Object.<string, *>} [params] - Placeholders of the message
+ * @property {string} [text] - Already translated message, for saves older than the feed
+ * @property {number} player - Index of the player the event happened to
+ * @property {number} stage - Stage the event happened in
+ * @property {number} lap - Lap of that player when it happened
+ * @property {number} [money] - Money gained (positive) or lost (negative)
+ * @property {number} [hp] - Health gained (positive) or lost (negative)
+ * @property {Object} [die] - Die gained, lost or thrown
+ * @property {number} [damage] - Damage dealt to the boss
+ * @property {boolean} [quiet] - Only shown in the log, never in the banner
+ */
+
+/**
+ * Event types with their icon and the category the log panel filters them by
+ * @type {Object.<string, {emoji: string, category: string}>}
+ */
+export const GAME_EVENT_TYPES = {
+  info: { emoji: "💬", category: "board" },
+  money: { emoji: "💰", category: "money" },
+  die_gained: { emoji: "🎲", category: "dice" },
+  die_lost: { emoji: "🗑️", category: "dice" },
+  trap: { emoji: "🪤", category: "board" },
+  lap: { emoji: "🏁", category: "board" },
+  jail: { emoji: "⛓️", category: "board" },
+  relic: { emoji: "🏺", category: "board" },
+  boost: { emoji: "✨", category: "board" },
+  health: { emoji: "❤️", category: "health" },
+  boss_throw: { emoji: "🎯", category: "boss" },
+  boss_damage: { emoji: "💥", category: "boss" },
+  boss_mechanic: { emoji: "👹", category: "boss" },
+  bribe: { emoji: "💸", category: "boss" },
+  boss_defeated: { emoji: "🏆", category: "boss" },
+  boss_failed: { emoji: "☠️", category: "boss" },
+  stage: { emoji: "🗺️", category: "board" },
+};
+
+/**
+ * Categories offered by the log panel filter, in display order
+ * @type {string[]}
+ */
+export const GAME_EVENT_CATEGORIES = ["board", "money", "dice", "health", "boss"];
+
+/**
+ * Builds the message of an event in the language in use
+ * @param {GameEvent} event - Logged event
+ * @returns {string} Message
+ */
+export function describeEvent(event) {
+  return event.key ? t(event.key, event.params) : event.text ?? "";
+}
+
+/**
+ * Whether an event belongs to a log filter. Events that move money or health also show under
+ * those filters, whatever their type: a trap is both a board event and a money loss.
+ * @param {GameEvent} event - Logged event
+ * @param {string} category - Category, see GAME_EVENT_CATEGORIES; "all" matches everything
+ * @returns {boolean} Whether the event matches
+ */
+export function matchesEventCategory(event, category) {
+  if (category === "all") return true;
+  if (category === "money" && event.money) return true;
+  if (category === "health" && event.hp) return true;
+  return (GAME_EVENT_TYPES[event.type] ?? GAME_EVENT_TYPES.info).category === category;
+}
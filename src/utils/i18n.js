@@ -0,0 +1,164 @@
+// src/utils/i18n.js
+// Translation layer. Every user-facing text goes through `t(key, params)`; the messages live in
+// src/locales/<code>.json, nested by area, and take `{name}` placeholders. The language picked
+// by the player is kept in localStorage. `currentLocale` is a Vue ref, so templates and getters
+// that call `t` update when the language changes; messages already shown stay as they were.
+import { ref } from "vue";
+import es from "../locales/es.json";
+import en from "../locales/en.json";
+
+/** @const {string} localStorage key holding the chosen language */
+const LOCALE_STORAGE_KEY = "dice-or-die:locale";
+
+/** @const {string} Language used when none was chosen, and for keys other locales miss */
+export const DEFAULT_LOCALE = "es";
+
+/**
+ * Available languages, keyed by code
+ * @type {Object.<string, {label: string, messages: Object}>}
+ */
+export const LOCALES = {
+  es: { label: "Español", messages: es },
+  en: { label: "English", messages: en },
+};
+
+/**
+ * Reads the chosen language from localStorage
+ * @returns {string} Locale code
+ */
+function loadLocale() {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  } catch {
+    // No localStorage, e.g. the simulation CLI
+    return DEFAULT_LOCALE;
+  }
+}
+
+/** @type {import("vue").Ref<string>} Code of the language in use */
+export const currentLocale = ref(loadLocale());
+
+/**
+ * Finds a message by its dotted key, e.g. "game.stageStart"
+ * @param {Object} messages - Messages of a locale
+ * @param {string} key - Dotted key
+ * @returns {*} The message, undefined if the key is missing
+ */
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => node?.[part], messages);
+}
+
+/**
+ * Translates a message to the language in use
+ * @param {string} key - Dotted key of the message
+ * @param {Object.<string, *>} [params] - Values of the `{name}` placeholders
+ * @returns {string} Translated message; the key itself when no locale has it
+ */
+export function t(key, params = {}) {
+  let message = lookup(LOCALES[currentLocale.value].messages, key);
+  if (typeof message !== "string") {
+    message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  }
+  if (typeof message !== "string") {
+    console.warn("i18n: Falta la clave", key);
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Whether the language in use, or the default one, has a message
+ * @param {string} key - Dotted key of the message
+ * @returns {boolean} True when `t(key)` would find it
+ */
+export function hasMessage(key) {
+  return [currentLocale.value, DEFAULT_LOCALE].some(
+    (code) => typeof lookup(LOCALES[code].messages, key) === "string"
+  );
+}
+
+/**
+ * Changes the language and remembers the choice
+ * @param {string} code - Locale code, see LOCALES
+ * @returns {boolean} Whether the language exists
+ */
+export function setLocale(code) {
+  if (!LOCALES[code]) {
+    console.warn("i18n: Idioma desconocido", code);
+    return false;
+  }
+  currentLocale.value = code;
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    document.documentElement.lang = code;
+  } catch (error) {
+    console.warn("i18n: No se pudo guardar el idioma.", error);
+  }
+  return true;
+}
+
+/**
+ * Lists the dotted keys of every message
+ * @param {Object} messages - Messages of a locale
+ * @param {string} [prefix] - Key of `messages` inside the locale
+ * @returns {string[]} Dotted keys
+ */
+export function listMessageKeys(messages, prefix = "") {
+  return Object.entries(messages).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return value && typeof value === "object" ? listMessageKeys(value, key) : [key];
+  });
+}
+
+/**
+ * Lists the keys passed as a literal to `t(...)` in a source file, and as the message key (second
+ * argument) of the game store's `logEvent(...)` and `announce(...)`. Keys built at runtime, such
+ * as `relics.${id}.name`, cannot be found this way.
+ * @param {string} source - Source code
+ * @returns {string[]} Keys, without duplicates
+ */
+export function findUsedKeys(source) {
+  const patterns = [
+    /\bt\(\s*["'`]([\w-]+(?:\.[\w-]+)+)["'`]/g,
+    /\b(?:logEvent|announce)\(\s*[^,()]+,\s*["'`]([\w-]+(?:\.[\w-]+)+)["'`]/g,
+  ];
+  const keys = patterns.flatMap((pattern) =>
+    [...source.matchAll(pattern)].map((match) => match[1])
+  );
+  return [...new Set(keys)];
+}
+
+/**
+ * Compares the locales: every locale must have the keys of every other one, with the same
+ * placeholders, and must have the keys used by the code
+ * @param {Object.<string, Object>} localeMessages - Messages keyed by locale code
+ * @param {string[]} [usedKeys] - Keys used by the code, see findUsedKeys
+ * @returns {Object.<string, {missing: string[], placeholders: string[]}>} Problems keyed by
+ *   locale code; empty lists when the locale is complete
+ */
+export function findMissingKeys(localeMessages, usedKeys = []) {
+  const keysByLocale = Object.fromEntries(
+    Object.entries(localeMessages).map(([code, messages]) => [code, listMessageKeys(messages)])
+  );
+  const allKeys = [...new Set([...Object.values(keysByLocale).flat(), ...usedKeys])].sort();
+  const placeholdersOf = (messages, key) =>
+    [...String(lookup(messages, key)).matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort();
+
+  return Object.fromEntries(
+    Object.entries(localeMessages).map(([code, messages]) => {
+      const missing = allKeys.filter((key) => !keysByLocale[code].includes(key));
+      const placeholders = keysByLocale[code].filter((key) =>
+        Object.entries(localeMessages).some(
+          ([otherCode, other]) =>
+            otherCode !== code &&
+            keysByLocale[otherCode].includes(key) &&
+            placeholdersOf(other, key).join() !== placeholdersOf(messages, key).join()
+        )
+      );
+      return [code, { missing, placeholders }];
+    })
+  );
+}
@@ -1,5 +1,5 @@
 // src/utils/imageUtils.js
-import { DICE_TYPES } from "../stores/game"; // Assuming DICE_TYPES is exported from your store
+import { getDieDefinition } from "./diceRegistry";
 
 /**
  * Generates the filename for a die based on its properties.
@@ -10,35 +10,14 @@ import { DICE_TYPES } from "../stores/game"; // Assuming DICE_TYPES is exported
 export function generateDieImageFilename(die, isFromLastRoll = false) {
   if (!die || !die.type) return null;
 
-  let type = die.type;
-  let value = die.value;
-  let isReverse = isFromLastRoll
-    ? die.direction === "backward"
-    : type === DICE_TYPES.REVERSE_FIXED || type === DICE_TYPES.REVERSE_RANDOM;
-
-  // Adjust type for reverse if it's a base type made reverse
-  if (isFromLastRoll && isReverse) {
-    if (type === DICE_TYPES.NORMAL)
-      type = DICE_TYPES.REVERSE_RANDOM; // Map normal+backward to reverse_random
-    else if (type === DICE_TYPES.FIXED) type = DICE_TYPES.REVERSE_FIXED; // Map fixed+backward to reverse_fixed
-    // Add more mappings if other types can be reversed by direction
+  let definition = getDieDefinition(die.type);
+  // A forward die that ended up moving back shows its reverse counterpart
+  if (isFromLastRoll && die.direction === "backward" && definition.backwardType) {
+    definition = getDieDefinition(definition.backwardType);
   }
 
-  switch (type) {
-    case DICE_TYPES.NORMAL:
-      return "die_d6.png";
-    case DICE_TYPES.FIXED:
-      return `die_fixed_${value}.png`;
-    case DICE_TYPES.D20:
-      return "die_d20.png";
-    case DICE_TYPES.REVERSE_FIXED:
-      return `die_fixed_reverse_${value}.png`;
-    case DICE_TYPES.REVERSE_RANDOM:
-      return "die_d6_reverse.png";
-    default:
-      console.warn("Unknown die type for image:", type);
-      return null;
-  }
+  // Dice without artwork return null and fall back to their label
+  return definition.image(die);
 }
 
 /**
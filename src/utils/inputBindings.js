@@ -0,0 +1,180 @@
+// src/utils/inputBindings.js
+// Input actions and the keys and gamepad buttons bound to them. The input store (stores/input)
+// turns a key press or a button press into one of the INPUT_ACTIONS and plays it on the game;
+// the bindings can be changed from the home screen and are kept in localStorage.
+import { t } from "./i18n";
+
+/** @const {string} localStorage key holding the bindings chosen by the player */
+const BINDINGS_STORAGE_KEY = "dice-or-die:input-bindings";
+
+/** @const {number} Dice of the bag that get their own "use die" action */
+export const DIE_SHORTCUTS = 9;
+
+/** @const {number} Options of a choice that get their own "pick choice" action */
+export const CHOICE_SHORTCUTS = 4;
+
+/** @const {string[]} Devices that can be bound, see DEFAULT_BINDINGS */
+export const INPUT_DEVICES = ["keyboard", "gamepad"];
+
+/**
+ * Names of the buttons of a gamepad with the browser's "standard" mapping, by button index
+ * @type {string[]}
+ */
+export const GAMEPAD_BUTTON_LABELS = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "Select",
+  "Start",
+  "L3",
+  "R3",
+  "↑",
+  "↓",
+  "←",
+  "→",
+];
+
+/**
+ * @typedef {Object} InputAction
+ * @property {string} id - Key of the action in the bindings, e.g. "useDie3"
+ * @property {string} action - What it does: "roll", "useDie", "cycleDice", "pickChoice",
+ *   "bribe" or "toggleSpeed"
+ * @property {number} [index] - Die of the bag or option of the choice, from 0
+ * @property {string} label - Display name
+ */
+
+/**
+ * Actions the player can bind, in the order the settings list them
+ * @type {InputAction[]}
+ */
+export const INPUT_ACTIONS = [
+  { id: "roll", action: "roll" },
+  ...Array.from({ length: DIE_SHORTCUTS }, (_, index) => ({
+    id: `useDie${index + 1}`,
+    action: "useDie",
+    index,
+  })),
+  { id: "cycleDice", action: "cycleDice" },
+  ...Array.from({ length: CHOICE_SHORTCUTS }, (_, index) => ({
+    id: `pickChoice${index + 1}`,
+    action: "pickChoice",
+    index,
+  })),
+  { id: "bribe", action: "bribe" },
+  { id: "toggleSpeed", action: "toggleSpeed" },
+].map((input) => ({
+  ...input,
+  get label() {
+    return t(`input.actions.${input.action}`, { number: (input.index ?? 0) + 1 });
+  },
+}));
+
+/**
+ * Bindings used until the player changes them: keyboard `KeyboardEvent.code` values and
+ * gamepad button indexes of the standard mapping, by action id
+ * @type {{keyboard: Object.<string, string[]>, gamepad: Object.<string, number[]>}}
+ */
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    roll: ["Space", "KeyR"],
+    ...Object.fromEntries(
+      Array.from({ length: DIE_SHORTCUTS }, (_, i) => [`useDie${i + 1}`, [`Digit${i + 1}`]])
+    ),
+    cycleDice: ["KeyC"],
+    ...Object.fromEntries(
+      Array.from({ length: CHOICE_SHORTCUTS }, (_, i) => [`pickChoice${i + 1}`, [`Digit${i + 1}`]])
+    ),
+    bribe: ["KeyB"],
+    toggleSpeed: ["KeyF"],
+  },
+  gamepad: {
+    roll: [0],
+    cycleDice: [5],
+    pickChoice1: [14],
+    pickChoice2: [12],
+    pickChoice3: [15],
+    pickChoice4: [13],
+    bribe: [1],
+    toggleSpeed: [3],
+  },
+};
+
+/**
+ * Reads the bindings, with the defaults for every action the player did not change
+ * @returns {{keyboard: Object.<string, Array>, gamepad: Object.<string, Array>}} Bindings
+ */
+export function loadBindings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) ?? "{}") ?? {};
+  } catch (error) {
+    console.warn("loadBindings: No se pudieron leer los controles.", error);
+  }
+  return Object.fromEntries(
+    INPUT_DEVICES.map((device) => [
+      device,
+      Object.fromEntries(
+        INPUT_ACTIONS.map(({ id }) => {
+          const codes = stored[device]?.[id];
+          return [id, Array.isArray(codes) ? codes : [...(DEFAULT_BINDINGS[device][id] ?? [])]];
+        })
+      ),
+    ])
+  );
+}
+
+/**
+ * Saves the bindings chosen by the player
+ * @param {{keyboard: Object.<string, Array>, gamepad: Object.<string, Array>}} bindings
+ */
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+  } catch (error) {
+    console.warn("saveBindings: No se pudieron guardar los controles.", error);
+  }
+}
+
+/**
+ * Drops the bindings chosen by the player, back to DEFAULT_BINDINGS
+ */
+export function clearBindings() {
+  try {
+    localStorage.removeItem(BINDINGS_STORAGE_KEY);
+  } catch (error) {
+    console.warn("clearBindings: No se pudieron borrar los controles.", error);
+  }
+}
+
+/**
+ * Finds the actions bound to a key or a gamepad button, in INPUT_ACTIONS order
+ * @param {Object} bindings - Bindings, see loadBindings
+ * @param {string} device - "keyboard" or "gamepad"
+ * @param {string|number} code - `KeyboardEvent.code` or gamepad button index
+ * @returns {InputAction[]} Bound actions; keys may be shared by actions of different phases,
+ *   like the digits that use a die or pick an option
+ */
+export function findBoundActions(bindings, device, code) {
+  return INPUT_ACTIONS.filter(({ id }) => bindings[device]?.[id]?.includes(code));
+}
+
+/**
+ * Short label of a key or a gamepad button, for the hints next to the buttons
+ * @param {string} device - "keyboard" or "gamepad"
+ * @param {string|number} code - `KeyboardEvent.code` or gamepad button index
+ * @returns {string} e.g. "R", "1", "Espacio" or "RB"
+ */
+export function formatBinding(device, code) {
+  if (device === "gamepad") return GAMEPAD_BUTTON_LABELS[code] ?? `#${code}`;
+  const arrows = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  if (arrows[code]) return arrows[code];
+  if (code === "Space") return t("input.keys.space");
+  return String(code)
+    .replace(/^(Key|Digit)/, "")
+    .replace(/^Numpad/, "Num ");
+}
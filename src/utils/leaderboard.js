@@ -0,0 +1,155 @@
+// src/utils/leaderboard.js
+// Client of the leaderboard service. The endpoint is set with VITE_LEADERBOARD_URL and defaults
+// to the local stand-in server (`npm run leaderboard`). Scores that cannot reach it are queued
+// in localStorage and sent again later.
+import { t } from "./i18n";
+
+/** @const {string} Base URL of the leaderboard service */
+export const LEADERBOARD_URL = (
+  import.meta.env.VITE_LEADERBOARD_URL || "http://localhost:8787"
+).replace(/\/$/, "");
+
+/** @const {string} localStorage key holding the scores waiting to be sent */
+const QUEUE_STORAGE_KEY = "dice-or-die:leaderboard-queue";
+
+/** @const {number} Milliseconds to wait for the service before giving up */
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * @typedef {Object} ScoreSubmission
+ * @property {string} name - Player name
+ * @property {number} score - Score, see utils/score
+ * @property {string} campaign - Campaign id
+ * @property {string} seed - Seed of the run
+ * @property {number} stageReached - Furthest stage reached
+ */
+
+/**
+ * Calls the leaderboard service
+ * @param {string} path - Path and query, e.g. "/scores?campaign=classic"
+ * @param {RequestInit} [options] - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} `offline` is true when the service could not be reached
+ */
+async function request(path, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  let response;
+  try {
+    response = await fetch(`${LEADERBOARD_URL}${path}`, {
+      ...options,
+      signal: controller.signal,
+    });
+  } catch {
+    const error = new Error(t("leaderboard.offline"));
+    error.offline = true;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || t("leaderboard.httpError", { status: response.status }));
+  }
+  return body;
+}
+
+/**
+ * Posts a score to the service
+ * @param {ScoreSubmission} submission - Score to send
+ * @returns {Promise<Object>} Stored entry
+ */
+function postScore(submission) {
+  return request("/scores", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(submission),
+  });
+}
+
+/**
+ * Reads the scores waiting to be sent
+ * @returns {ScoreSubmission[]} Queued scores, oldest first
+ */
+export function loadQueuedScores() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn("loadQueuedScores: No se pudo leer la cola de puntuaciones.", error);
+    return [];
+  }
+}
+
+/**
+ * Replaces the queue of scores waiting to be sent
+ * @param {ScoreSubmission[]} queue - Scores to keep
+ */
+function storeQueuedScores(queue) {
+  try {
+    if (queue.length) localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(QUEUE_STORAGE_KEY);
+  } catch (error) {
+    console.warn("storeQueuedScores: No se pudo guardar la cola de puntuaciones.", error);
+  }
+}
+
+/**
+ * Sends a score, queueing it when the service cannot be reached
+ * @param {ScoreSubmission} submission - Score to send
+ * @returns {Promise<"sent"|"queued">} What happened to the score
+ * @throws {Error} If the service rejected the score
+ */
+export async function submitScore(submission) {
+  try {
+    await postScore(submission);
+    return "sent";
+  } catch (error) {
+    if (!error.offline) throw error;
+    console.warn("submitScore: Sin conexión, puntuación en cola.", submission);
+    storeQueuedScores([...loadQueuedScores(), submission]);
+    return "queued";
+  }
+}
+
+/**
+ * Sends the queued scores. Scores the service rejects are dropped; the rest stay queued
+ * while it cannot be reached.
+ * @returns {Promise<number>} Number of scores sent
+ */
+export async function flushQueuedScores() {
+  const queue = loadQueuedScores();
+  let sent = 0;
+  for (let i = 0; i < queue.length; i++) {
+    try {
+      await postScore(queue[i]);
+      sent++;
+    } catch (error) {
+      if (error.offline) {
+        storeQueuedScores(queue.slice(i));
+        return sent;
+      }
+      console.warn("flushQueuedScores: Puntuación rechazada y descartada.", error.message);
+    }
+  }
+  storeQueuedScores([]);
+  return sent;
+}
+
+/**
+ * Fetches the best scores
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.campaign] - Only scores of this campaign id
+ * @param {string} [filters.seed] - Only scores of this seed
+ * @param {number} [filters.limit] - Number of scores to return
+ * @returns {Promise<Array<ScoreSubmission & {submittedAt: string}>>} Scores, best first
+ * @throws {Error} If the service cannot be reached or fails
+ */
+export async function fetchTopScores({ campaign, seed, limit } = {}) {
+  const params = new URLSearchParams();
+  if (campaign) params.set("campaign", campaign);
+  if (seed) params.set("seed", seed);
+  if (limit) params.set("limit", String(limit));
+  const { scores } = await request(`/scores?${params}`);
+  return Array.isArray(scores) ? scores : [];
+}
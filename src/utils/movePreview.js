@@ -0,0 +1,105 @@
+// src/utils/movePreview.js
+// Mirrors the walking rules of `movePlayer`: forward moves collect coins on every money square
+// they step on and stop on the start square when they complete a lap; backward moves only walk.
+
+/**
+ * @typedef {Object} MoveOutcome
+ * @property {number} steps - Squares to walk, negative when moving backward
+ * @property {number} chance - Probability of this outcome, all outcomes add up to 1
+ */
+
+/**
+ * @typedef {Object} MovePreview
+ * @property {Object.<number, number>} landingChances - Probability of ending on each square id
+ * @property {number[]} pathSquareIds - Squares walked through by at least one outcome
+ * @property {number} expectedMoney - Average coins won (or lost to traps) by the move
+ * @property {number} trapChance - Probability of landing on a trap that takes money
+ * @property {number} lapChance - Probability of crossing the start and completing a lap
+ * @property {number} bossChance - Probability of that lap calling the stage boss
+ */
+
+/**
+ * Walks one outcome over the board
+ * @param {Object[]} squares - Board squares in id order
+ * @param {number} start - Square the player stands on
+ * @param {number} steps - Squares to walk, negative when moving backward
+ * @param {function(Object): number} passMoney - Coins earned when stepping on a money square
+ * @returns {{landing: number, path: number[], money: number, completesLap: boolean}} Result
+ */
+function walk(squares, start, steps, passMoney) {
+  const total = squares.length;
+  const direction = steps > 0 ? 1 : -1;
+  const path = [];
+  let position = start;
+  let money = 0;
+  for (let i = 0; i < Math.abs(steps); i++) {
+    position = (position + direction + total) % total;
+    path.push(position);
+    if (direction < 0) continue;
+    // Completing a lap stops the player on the start square
+    if (position === 0) return { landing: position, path, money, completesLap: true };
+    const square = squares[position];
+    if (square.currentEffectType === "normal_money" && square.effectDetails?.amount) {
+      money += passMoney(square);
+    }
+  }
+  return { landing: position, path, money, completesLap: false };
+}
+
+/**
+ * Computes where a die can take the player and what the move is worth on average
+ * @param {Object} options - Board and player data
+ * @param {Object[]} options.squares - Board squares in id order
+ * @param {number} options.start - Square the player stands on
+ * @param {MoveOutcome[]} options.outcomes - Possible moves of the die
+ * @param {number} options.lap - Current lap of the player
+ * @param {number} options.lapsToComplete - The boss shows up when the lap counter reaches this
+ * @param {function(Object): number} options.passMoney - Coins earned on a money square
+ * @param {boolean} [options.trapsAreHarmless] - True while the player is immune to traps
+ * @param {number} [options.hugeMoneyValue] - Fallback amount of huge money squares
+ * @returns {MovePreview} Preview of the move
+ */
+export function previewMove({
+  squares,
+  start,
+  outcomes,
+  lap,
+  lapsToComplete,
+  passMoney,
+  trapsAreHarmless = false,
+  hugeMoneyValue = 0,
+}) {
+  const preview = {
+    landingChances: {},
+    pathSquareIds: [],
+    expectedMoney: 0,
+    trapChance: 0,
+    lapChance: 0,
+    bossChance: 0,
+  };
+  if (!squares.length) return preview;
+  const path = new Set();
+  outcomes.forEach(({ steps, chance }) => {
+    const result = walk(squares, start, steps, passMoney);
+    result.path.forEach((id) => path.add(id));
+    preview.landingChances[result.landing] =
+      (preview.landingChances[result.landing] ?? 0) + chance;
+    let money = result.money;
+    if (result.completesLap) {
+      // A new lap rolls new board effects, so the start square is all there is to it
+      preview.lapChance += chance;
+      if (lap + 1 === lapsToComplete) preview.bossChance += chance;
+    } else {
+      const square = squares[result.landing];
+      if (square.currentEffectType === "temp_bad_lap" && !trapsAreHarmless) {
+        preview.trapChance += chance;
+        money -= square.effectDetails?.penalty ?? 0;
+      } else if (square.currentEffectType === "huge_money") {
+        money += square.effectDetails?.amount || hugeMoneyValue;
+      }
+    }
+    preview.expectedMoney += chance * money;
+  });
+  preview.pathSquareIds = [...path].sort((a, b) => a - b);
+  return preview;
+}
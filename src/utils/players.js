@@ -0,0 +1,109 @@
+// src/utils/players.js
+import { hasAllRelics } from "./relics";
+import { t } from "./i18n";
+
+/** @const {number} Maximum number of hot-seat players */
+export const MAX_PLAYERS = 4;
+
+/** @const {number} Health every player starts the run with; it is not restored between stages */
+export const MAX_PLAYER_HP = 30;
+
+/**
+ * Name used for the player of a single-player run, in the language in use
+ * @returns {string} Player name
+ */
+export function defaultPlayerName() {
+  return t("players.defaultName");
+}
+
+/**
+ * Store fields that belong to the player whose turn it is.
+ * They live at the top level of the game store for the active player and are stashed in
+ * that player's record when the turn passes to someone else.
+ * @type {string[]}
+ */
+export const PLAYER_STATE_FIELDS = [
+  "playerPosition",
+  "lastPlayerPositionBeforeThisMove",
+  "playerMoney",
+  "playerLap",
+  "lastDiceRoll",
+  "reservedDice",
+  "totalRolls",
+  "diceObtained",
+  "bossesDefeated",
+  "perfectBossDefeats",
+  "bribesBosses",
+  "jailTurnsRemaining",
+  "relics",
+  "activeBoosts",
+  "playerHP",
+];
+
+/**
+ * Marker looks for each seat; every player uses the knight sprite tinted with a hue rotation
+ * @type {Array<{image: string, hue: number, color: string}>}
+ */
+export const PLAYER_SPRITES = [
+  { image: "knight_static.png", hue: 0, color: "#3498db" },
+  { image: "knight_static.png", hue: 140, color: "#e74c3c" },
+  { image: "knight_static.png", hue: 260, color: "#27ae60" },
+  { image: "knight_static.png", hue: 60, color: "#8e44ad" },
+];
+
+/**
+ * @typedef {Object} PlayerRecord
+ * @property {number} id - Seat number, starting at 0
+ * @property {string} name - Display name
+ * @property {{image: string, hue: number, color: string}} sprite - Marker look
+ * @property {string} status - "playing", "stage_cleared" (waiting for the others to face the
+ *   boss), "eliminated" or "finished"
+ * @property {number} stageReached - Highest stage the player got to
+ */
+
+/**
+ * Creates a player record with fresh per-player state
+ * @param {string} name - Display name
+ * @param {number} index - Seat number
+ * @returns {PlayerRecord} New player record, including every PLAYER_STATE_FIELDS entry
+ */
+export function createPlayer(name, index) {
+  return {
+    id: index,
+    name: name?.trim() || t("players.seatName", { number: index + 1 }),
+    sprite: PLAYER_SPRITES[index % PLAYER_SPRITES.length],
+    status: "playing",
+    stageReached: 1,
+    playerPosition: 0,
+    lastPlayerPositionBeforeThisMove: 0,
+    playerMoney: 0,
+    playerLap: 1,
+    lastDiceRoll: null,
+    reservedDice: [],
+    totalRolls: 0,
+    diceObtained: 0,
+    bossesDefeated: 0,
+    perfectBossDefeats: 0,
+    bribesBosses: 0,
+    jailTurnsRemaining: 0,
+    relics: [],
+    activeBoosts: [],
+    playerHP: MAX_PLAYER_HP,
+  };
+}
+
+/**
+ * Sorts players for the final ranking: a full relic set wins outright, then furthest stage,
+ * then bosses beaten, then money
+ * @param {PlayerRecord[]} players - Players to rank
+ * @returns {PlayerRecord[]} New array, best player first
+ */
+export function rankPlayers(players) {
+  return [...players].sort(
+    (a, b) =>
+      hasAllRelics(b.relics) - hasAllRelics(a.relics) ||
+      b.stageReached - a.stageReached ||
+      b.bossesDefeated - a.bossesDefeated ||
+      b.playerMoney - a.playerMoney
+  );
+}
@@ -0,0 +1,148 @@
+// src/utils/plugins.js
+// Hook API for game rules and mods. A plugin is a module that registers handlers for some of
+// the GAME_HOOKS; the game store calls them at fixed points of a run with a context object the
+// handler can read and change, e.g. doubling `context.amount` when a square pays. Plugins are
+// registered at startup (see src/plugins) and switched on in the home screen; a run keeps the
+// ids it was started with in `plugins`, so saves and replays play with the same rules.
+import { hasMessage, t } from "./i18n";
+
+/** @const {string} localStorage key holding the ids of the plugins enabled for new runs */
+const ENABLED_PLUGINS_STORAGE_KEY = "dice-or-die:plugins";
+
+/**
+ * Points of the run where plugins are called, with the context they receive.
+ * Fields marked "changeable" are read back by the store after the handlers ran.
+ * - onRoll: `{ die, phase, value, direction, reroll() }` - a die was rolled on the board
+ *   (`phase` "board") or thrown at a boss ("boss"); `value` and `direction` are changeable,
+ *   `reroll()` rolls the same die again with the seeded generator and replaces both
+ * - beforeMove: `{ steps }` - the player is about to move; `steps` is changeable, negative
+ *   moves backward
+ * - onPassSquare: `{ square, direction, amount }` - the player steps on a square while moving;
+ *   `amount` (money the square pays, 0 if none) is changeable
+ * - onLand: `{ square }` - the player stopped on a square, before its effect applies; the
+ *   square's `currentEffectType` and `effectDetails` may be changed
+ * - onLapComplete: `{ lap, laps }` - the player passed the start square
+ * - onBossStart: `{ boss }` - a boss fight begins; `hp`, `diceThrows`, `bribeCost` and the
+ *   other fields of `boss` may be changed
+ * - onBossDamage: `{ damage, die, boss }` - a throw hits the boss, after its defenses;
+ *   `damage` is changeable
+ * - onRunEnd: `{ cause, won }` - the run is over, see `gameOverCause`
+ * @type {string[]}
+ */
+export const GAME_HOOKS = [
+  "onRoll",
+  "beforeMove",
+  "onPassSquare",
+  "onLand",
+  "onLapComplete",
+  "onBossStart",
+  "onBossDamage",
+  "onRunEnd",
+];
+
+/**
+ * @typedef {Object} GamePlugin
+ * @property {string} id - Unique identifier stored in the run's `plugins`
+ * @property {string} name - Display name; `plugins.<id>.name` when the locales have it
+ * @property {string} description - Short explanation; `plugins.<id>.description` likewise
+ * @property {Object.<string, function(Object, Object): void>} hooks - Handlers keyed by hook
+ *   name; each gets the hook context and the game store
+ */
+
+/** @type {Object.<string, GamePlugin>} */
+const registry = {};
+
+/**
+ * Adds a plugin to the registry, or replaces the one with the same id
+ * @param {{id: string, name?: string, description?: string, hooks: Object}} plugin - Plugin
+ * @returns {GamePlugin} The registered plugin
+ */
+export function registerPlugin(plugin) {
+  if (!plugin?.id || !plugin.hooks || typeof plugin.hooks !== "object") {
+    throw new Error("registerPlugin: Un plugin necesita `id` y `hooks`.");
+  }
+  const unknownHooks = Object.keys(plugin.hooks).filter((hook) => !GAME_HOOKS.includes(hook));
+  if (unknownHooks.length) {
+    throw new Error(`registerPlugin: Hooks desconocidos en ${plugin.id}: ${unknownHooks.join()}`);
+  }
+  const { id, name = id, description = "" } = plugin;
+  registry[id] = {
+    ...plugin,
+    get name() {
+      return hasMessage(`plugins.${id}.name`) ? t(`plugins.${id}.name`) : name;
+    },
+    get description() {
+      return hasMessage(`plugins.${id}.description`) ? t(`plugins.${id}.description`) : description;
+    },
+  };
+  return registry[id];
+}
+
+/**
+ * Gets a registered plugin
+ * @param {string} id - Plugin id
+ * @returns {GamePlugin|undefined} The plugin
+ */
+export function getPlugin(id) {
+  return registry[id];
+}
+
+/**
+ * Lists every registered plugin
+ * @returns {GamePlugin[]} Registered plugins
+ */
+export function getRegisteredPlugins() {
+  return Object.values(registry);
+}
+
+/**
+ * Calls the handlers of the run's plugins for a hook, in the order they were enabled.
+ * A failing handler is reported and skipped, the run goes on without it.
+ * @param {Object} store - Game store; its `plugins` lists the ids active in the run
+ * @param {string} hook - Hook name, see GAME_HOOKS
+ * @param {Object} context - Hook context, handlers may change it
+ * @returns {Object} The context after every handler ran
+ */
+export function runHook(store, hook, context) {
+  (store.plugins ?? []).forEach((id) => {
+    const handler = registry[id]?.hooks[hook];
+    if (!handler) return;
+    try {
+      handler(context, store);
+    } catch (error) {
+      console.warn(`runHook: El plugin ${id} falló en ${hook}.`, error);
+    }
+  });
+  return context;
+}
+
+/**
+ * Reads the ids of the plugins enabled for new runs
+ * @returns {string[]} Ids of registered plugins
+ */
+export function getEnabledPlugins() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ENABLED_PLUGINS_STORAGE_KEY) ?? "[]");
+    return Array.isArray(stored) ? stored.filter((id) => registry[id]) : [];
+  } catch (error) {
+    console.warn("getEnabledPlugins: No se pudieron leer los plugins activos.", error);
+    return [];
+  }
+}
+
+/**
+ * Switches a plugin on or off for new runs; runs already started keep their plugins
+ * @param {string} id - Plugin id
+ * @param {boolean} enabled - Whether new runs use it
+ * @returns {string[]} Ids of the plugins enabled from now on
+ */
+export function setPluginEnabled(id, enabled) {
+  const ids = getEnabledPlugins().filter((enabledId) => enabledId !== id);
+  if (enabled && registry[id]) ids.push(id);
+  try {
+    localStorage.setItem(ENABLED_PLUGINS_STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    console.warn("setPluginEnabled: No se pudieron guardar los plugins activos.", error);
+  }
+  return ids;
+}
@@ -0,0 +1,76 @@
+// src/utils/relics.js
+import { t } from "./i18n";
+
+/**
+ * @typedef {Object} Relic
+ * @property {string} id - Stable identifier stored in the player's `relics`
+ * @property {string} name - Display name
+ * @property {string} emoji - Icon for the tracker and the board
+ * @property {string} bonus - Short description of the passive bonus
+ */
+
+/**
+ * Relics that can be found on the board. Each one grants a passive bonus while owned,
+ * and owning all of them wins the run on the spot.
+ * @type {Relic[]}
+ */
+export const RELICS = [
+  {
+    id: "anvil",
+    emoji: "🔨",
+    get name() {
+      return t("relics.anvil.name");
+    },
+    get bonus() {
+      return t("relics.anvil.bonus");
+    },
+  },
+  {
+    id: "royal_seal",
+    emoji: "📜",
+    get name() {
+      return t("relics.royal_seal.name");
+    },
+    get bonus() {
+      return t("relics.royal_seal.bonus");
+    },
+  },
+  {
+    id: "master_key",
+    emoji: "🗝️",
+    get name() {
+      return t("relics.master_key.name");
+    },
+    get bonus() {
+      return t("relics.master_key.bonus");
+    },
+  },
+  {
+    id: "golden_idol",
+    emoji: "🗿",
+    get name() {
+      return t("relics.golden_idol.name");
+    },
+    get bonus() {
+      return t("relics.golden_idol.bonus");
+    },
+  },
+];
+
+/**
+ * Finds a relic by id
+ * @param {string} id - Relic id
+ * @returns {Relic|undefined} The relic, if it exists
+ */
+export function getRelic(id) {
+  return RELICS.find((relic) => relic.id === id);
+}
+
+/**
+ * Checks whether a list of owned relic ids completes the set
+ * @param {string[]} relics - Owned relic ids
+ * @returns {boolean} Whether every relic is owned
+ */
+export function hasAllRelics(relics) {
+  return RELICS.every((relic) => relics?.includes(relic.id));
+}
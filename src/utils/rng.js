@@ -0,0 +1,41 @@
+// src/utils/rng.js
+
+/**
+ * Hashes a seed string into an unsigned 32-bit integer (FNV-1a).
+ * The same seed string always produces the same initial generator state.
+ * @param {string|number} seed - Seed as typed by the player or read from the URL
+ * @returns {number} Unsigned 32-bit generator state
+ */
+export function hashSeed(seed) {
+  const text = String(seed ?? "");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Advances a mulberry32 generator by one step.
+ * The generator is a single 32-bit number so it can live in the store state.
+ * @param {number} state - Current generator state
+ * @returns {{ value: number, state: number }} A float in [0, 1) and the next state
+ */
+export function nextRandom(state) {
+  const a = (state + 0x6d2b79f5) | 0;
+  let t = Math.imul(a ^ (a >>> 15), 1 | a);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return {
+    value: ((t ^ (t >>> 14)) >>> 0) / 4294967296,
+    state: a >>> 0,
+  };
+}
+
+/**
+ * Generates a short, human-friendly seed for runs started without one.
+ * @returns {string} Eight uppercase base-36 characters
+ */
+export function generateSeed() {
+  return Math.random().toString(36).slice(2, 10).toUpperCase().padEnd(8, "0");
+}
@@ -0,0 +1,250 @@
+// src/utils/runHistory.js
+import { DICE_TYPES } from "./diceRegistry";
+import { defaultPlayerName } from "./players";
+import { localizeCampaign } from "./campaigns";
+
+/** @const {string} localStorage key holding the finished runs */
+const HISTORY_STORAGE_KEY = "dice-or-die:history";
+
+/** @const {number} Finished runs kept; older ones are dropped first */
+export const MAX_HISTORY_RUNS = 200;
+
+/**
+ * @typedef {Object} BossOutcome
+ * @property {number} stage - Stage of the boss
+ * @property {string} boss - Boss name
+ * @property {string} player - Name of the player who faced it
+ * @property {string} outcome - "defeated", "perfect", "bribed", "lost" or "died"
+ * @property {number} money - Player's money when the fight ended; in stage order these points
+ *   form the run's money curve
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string} seed - Seed of the run
+ * @property {string} campaign - Campaign name
+ * @property {number} stake - Difficulty stake the run was played on, see utils/stakes
+ * @property {boolean} endless - Whether the run went on past the campaign, see utils/endless
+ * @property {string[]} players - Player names
+ * @property {string} startedAt - ISO date of when the run started
+ * @property {string|null} endedAt - ISO date of when the run ended, null while it is played
+ * @property {string|null} ending - `gameOverCause` of the run
+ * @property {boolean} won - Whether the run ended in a victory
+ * @property {number} stageReached - Furthest stage reached by any player
+ * @property {number} diceObtained - Dice obtained by every player together
+ * @property {number} totalRolls - Rolls made by every player together
+ * @property {string|null} endedBy - Boss that ended a lost run, if a boss did
+ * @property {BossOutcome[]} bosses - How each boss fight ended, in order
+ * @property {Object.<string, number>} damageByDieType - Boss damage dealt, keyed by die type
+ */
+
+/**
+ * @typedef {Object} HistorySummary
+ * @property {number} runs - Number of finished runs
+ * @property {number} winRate - Share of runs won, between 0 and 1
+ * @property {number} averageStageReached - Average furthest stage
+ * @property {{boss: string, runs: number}|null} deadliestBoss - Boss that ended the most runs
+ * @property {Array<{type: string, damage: number, share: number}>} damageShare - Share of the
+ *   total boss damage dealt by each die type, largest first
+ */
+
+/** @const {string[]} Game store actions that can end the run */
+const ENDING_ACTIONS = ["defeatBoss", "failBossFight", "playerDies", "winByRelics"];
+
+/**
+ * Opens the record of a run that just started
+ * @param {Object} gameStore - Game store at the start of the run
+ * @returns {RunRecord} Empty record
+ */
+function createRunRecord(gameStore) {
+  return {
+    seed: gameStore.seed,
+    campaign: localizeCampaign(gameStore.campaign).name,
+    stake: gameStore.stake,
+    endless: gameStore.endless,
+    players: gameStore.players.map((player) => player.name),
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    ending: null,
+    won: false,
+    stageReached: 1,
+    diceObtained: 0,
+    totalRolls: 0,
+    endedBy: null,
+    bosses: [],
+    damageByDieType: {},
+  };
+}
+
+/**
+ * Fills in how a run ended
+ * @param {RunRecord} record - Record of the run in play
+ * @param {Object} gameStore - Game store once the run is over
+ * @returns {RunRecord} Finished copy of the record
+ */
+function completeRunRecord(record, gameStore) {
+  const players = gameStore.playerSummaries;
+  const won = gameStore.gamePhase === "game_won";
+  const lastFight = record.bosses[record.bosses.length - 1];
+  return {
+    ...record,
+    endedAt: new Date().toISOString(),
+    ending: gameStore.gameOverCause,
+    won,
+    stageReached: Math.min(
+      Math.max(...players.map((player) => player.stageReached)),
+      gameStore.maxStages
+    ),
+    diceObtained: players.reduce((sum, player) => sum + player.diceObtained, 0),
+    totalRolls: players.reduce((sum, player) => sum + player.totalRolls, 0),
+    endedBy: !won && ["lost", "died"].includes(lastFight?.outcome) ? lastFight.boss : null,
+  };
+}
+
+/**
+ * Follows the runs played on a game store: boss fights, their outcome and the damage dealt by
+ * each die type. Used by the history store and by headless simulations.
+ * @param {Object} gameStore - Game store to follow
+ * @param {Object} [handlers] - Callbacks
+ * @param {function(string): (RunRecord|null)} [handlers.resume] - Record to continue when a
+ *   saved run with this seed is restored; a new record is opened when it returns null
+ * @param {function(RunRecord): void} [handlers.onChange] - Called whenever the record changes
+ * @param {function(RunRecord): void} [handlers.onFinish] - Called with the finished record
+ * @returns {function(): void} Stops following the store
+ */
+export function followRun(gameStore, { resume, onChange, onFinish } = {}) {
+  let record = null;
+  // Type of the die thrown at the boss right now
+  let thrownDieType = null;
+
+  const start = (resumed = null) => {
+    record = resumed ?? createRunRecord(gameStore);
+    onChange?.(record);
+  };
+  const addBossOutcome = (outcome) => {
+    if (!record) return;
+    record.bosses.push({
+      stage: gameStore.playerStage,
+      boss: gameStore.currentStageConfig.bossName,
+      player: gameStore.activePlayer?.name ?? defaultPlayerName(),
+      outcome,
+      money: gameStore.playerMoney,
+    });
+    onChange?.(record);
+  };
+
+  return gameStore.$onAction(({ name, args, after }) => {
+    if (name === "initializeGame" || name === "resetGame") {
+      after(() => start());
+    } else if (name === "restoreSnapshot") {
+      after((restored) => restored && start(resume?.(gameStore.seed)));
+    } else if (name === "rollDiceForBoss") {
+      thrownDieType = args[0]?.type ?? null;
+    } else if (name === "rollDice" && gameStore.gamePhase === "boss_encounter") {
+      thrownDieType = DICE_TYPES.NORMAL;
+    } else if (name === "applyBossDamage" && record && args[0] > 0) {
+      const type = thrownDieType ?? DICE_TYPES.NORMAL;
+      record.damageByDieType[type] = (record.damageByDieType[type] ?? 0) + args[0];
+      onChange?.(record);
+    }
+
+    // Boss outcomes are read before the action moves on to the next stage or player
+    if (name === "defeatBoss" && args[0]) {
+      addBossOutcome("bribed");
+    } else if (name === "defeatBoss") {
+      addBossOutcome(gameStore.currentBossHP === 0 ? "perfect" : "defeated");
+    } else if (name === "failBossFight") {
+      addBossOutcome("lost");
+    } else if (name === "playerDies" && gameStore.gamePhase === "boss_encounter") {
+      addBossOutcome("died");
+    }
+    if (ENDING_ACTIONS.includes(name)) {
+      after(() => {
+        if (!record || !gameStore.isGameOver) return;
+        const finished = completeRunRecord(record, gameStore);
+        record = null;
+        onFinish?.(finished);
+      });
+    }
+  });
+}
+
+/**
+ * Reads the finished runs from localStorage
+ * @returns {RunRecord[]} Runs, oldest first
+ */
+export function loadRunHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn("loadRunHistory: No se pudo leer el historial.", error);
+    return [];
+  }
+}
+
+/**
+ * Adds a finished run to the history
+ * @param {RunRecord} record - Finished run
+ * @returns {RunRecord[]} The stored history
+ */
+export function saveRunRecord(record) {
+  const history = [...loadRunHistory(), record].slice(-MAX_HISTORY_RUNS);
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.warn("saveRunRecord: No se pudo guardar el historial.", error);
+  }
+  return history;
+}
+
+/**
+ * Deletes every finished run
+ */
+export function clearRunHistory() {
+  try {
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+  } catch (error) {
+    console.warn("clearRunHistory: No se pudo borrar el historial.", error);
+  }
+}
+
+/**
+ * Aggregates the finished runs for the stats dashboard
+ * @param {RunRecord[]} history - Finished runs
+ * @returns {HistorySummary} Aggregated stats
+ */
+export function summarizeRunHistory(history) {
+  const runs = history.length;
+  const wins = history.filter((run) => run.won).length;
+  const stages = history.reduce((sum, run) => sum + run.stageReached, 0);
+
+  const endings = {};
+  history.forEach((run) => {
+    if (run.endedBy) endings[run.endedBy] = (endings[run.endedBy] ?? 0) + 1;
+  });
+  const [deadliest] = Object.entries(endings).sort((a, b) => b[1] - a[1]);
+
+  const damage = {};
+  history.forEach((run) => {
+    Object.entries(run.damageByDieType ?? {}).forEach(([type, amount]) => {
+      damage[type] = (damage[type] ?? 0) + amount;
+    });
+  });
+  const totalDamage = Object.values(damage).reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    runs,
+    winRate: runs ? wins / runs : 0,
+    averageStageReached: runs ? stages / runs : 0,
+    deadliestBoss: deadliest ? { boss: deadliest[0], runs: deadliest[1] } : null,
+    damageShare: Object.entries(damage)
+      .map(([type, amount]) => ({
+        type,
+        damage: amount,
+        share: totalDamage ? amount / totalDamage : 0,
+      }))
+      .sort((a, b) => b.damage - a.damage),
+  };
+}
@@ -0,0 +1,228 @@
+// src/utils/saveGame.js
+import { createPlayer, defaultPlayerName, MAX_PLAYER_HP, PLAYER_STATE_FIELDS } from "./players";
+import { DEFAULT_CAMPAIGN } from "./campaigns";
+import { MAX_SAVED_GAME_EVENTS } from "./gameEvents";
+
+/** @const {string} localStorage key holding the in-progress run */
+export const SAVE_STORAGE_KEY = "dice-or-die:saved-run";
+
+/** @const {number} Current snapshot format version, bump it whenever SNAPSHOT_FIELDS changes */
+export const SNAPSHOT_VERSION = 11;
+
+/**
+ * Store state fields that make up a resumable run.
+ * UI-only and animation state (isAnimating, highlights, roll pop-ups) is left out on purpose.
+ * @type {string[]}
+ */
+export const SNAPSHOT_FIELDS = [
+  "players",
+  "currentPlayerIndex",
+  "seed",
+  "rngState",
+  "boardRows",
+  "boardCols",
+  "boardSquares",
+  "campaign",
+  "currentStageConfig",
+  "playerPosition",
+  "lastPlayerPositionBeforeThisMove",
+  "playerMoney",
+  "playerLap",
+  "playerStage",
+  "lastDiceRoll",
+  "reservedDice",
+  "jailTurnsRemaining",
+  "relics",
+  "activeBoosts",
+  "playerHP",
+  "maxDiceInBag",
+  "events",
+  "bannerStartId",
+  "gamePhase",
+  "isGameOver",
+  "gameOverCause",
+  "choiceDetails",
+  "currentBoss",
+  "currentDiceThrows",
+  "remainingBossRolls",
+  "currentBossHP",
+  "currentBossMaxHP",
+  "totalRolls",
+  "diceObtained",
+  "bossesDefeated",
+  "perfectBossDefeats",
+  "bribesBosses",
+  "plugins",
+  "stake",
+  "endless",
+];
+
+/**
+ * @typedef {Object} RunSnapshot
+ * @property {number} version - Format version, see SNAPSHOT_VERSION
+ * @property {string} savedAt - ISO date of when the snapshot was taken
+ * @property {Object} state - Deep copy of the SNAPSHOT_FIELDS of the game store
+ */
+
+/**
+ * Builds a plain, JSON-safe snapshot from the game store state
+ * @param {Object} state - Game store (or its state)
+ * @returns {RunSnapshot} The snapshot
+ */
+export function buildSnapshot(state) {
+  const picked = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    picked[field] = state[field];
+  });
+  // Only the tail of the event feed, replays store one snapshot per action
+  picked.events = (picked.events ?? []).slice(-MAX_SAVED_GAME_EVENTS);
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(picked)),
+  };
+}
+
+/**
+ * Upgrades snapshots written by older builds, one version at a time.
+ * Each entry turns a snapshot of version N into version N + 1.
+ * @type {Object.<number, function(Object): Object>}
+ */
+const SNAPSHOT_MIGRATIONS = {
+  // v1 -> v2: single-player runs gain a players array holding the one player
+  1: (state) => {
+    const player = createPlayer(defaultPlayerName(), 0);
+    PLAYER_STATE_FIELDS.forEach((field) => {
+      if (field in state) player[field] = state[field];
+    });
+    player.stageReached = state.playerStage ?? 1;
+    return { ...state, players: [player], currentPlayerIndex: 0 };
+  },
+  // v2 -> v3: the bad corner became a prison, nobody starts in it
+  2: (state) => ({
+    ...state,
+    jailTurnsRemaining: 0,
+    players: state.players.map((player) => ({ ...player, jailTurnsRemaining: 0 })),
+  }),
+  // v3 -> v4: relics arrive, and finished runs remember how they ended
+  3: (state) => ({
+    ...state,
+    relics: [],
+    gameOverCause:
+      state.gamePhase === "game_won" ? "stages" : state.gamePhase === "game_lost" ? "defeat" : null,
+    players: state.players.map((player) => ({ ...player, relics: [] })),
+  }),
+  // v4 -> v5: timed boosts, none running in older saves
+  4: (state) => ({
+    ...state,
+    activeBoosts: [],
+    players: state.players.map((player) => ({ ...player, activeBoosts: [] })),
+  }),
+  // v5 -> v6: stages come from a campaign, older runs were all on the bundled one
+  5: (state) => ({ ...state, campaign: DEFAULT_CAMPAIGN }),
+  // v6 -> v7: players have health, everyone in an older run is unhurt
+  6: (state) => ({
+    ...state,
+    playerHP: MAX_PLAYER_HP,
+    players: state.players.map((player) => ({ ...player, playerHP: MAX_PLAYER_HP })),
+  }),
+  // v7 -> v8: the single banner message became an event feed, it is kept as its first event
+  7: ({ gameMessage, ...state }) => ({
+    ...state,
+    events: gameMessage
+      ? [
+          {
+            id: 1,
+            type: "info",
+            text: gameMessage,
+            player: state.currentPlayerIndex ?? 0,
+            stage: state.playerStage ?? 1,
+            lap: state.playerLap ?? 1,
+          },
+        ]
+      : [],
+    bannerStartId: 1,
+  }),
+  // v8 -> v9: plugins can change the rules, older runs were played without any
+  8: (state) => ({ ...state, plugins: [] }),
+  // v9 -> v10: difficulty stakes, older runs were played on the base one
+  9: (state) => ({ ...state, stake: 0 }),
+  // v10 -> v11: endless mode, older runs end with the campaign
+  10: (state) => ({ ...state, endless: false }),
+};
+
+/**
+ * Brings a snapshot up to the current format version when possible
+ * @param {RunSnapshot} snapshot - Snapshot as read from storage or a file
+ * @returns {RunSnapshot} The migrated snapshot (or the input unchanged)
+ */
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object" || !snapshot.state) return snapshot;
+  let migrated = snapshot;
+  while (migrated.version < SNAPSHOT_VERSION && SNAPSHOT_MIGRATIONS[migrated.version]) {
+    migrated = {
+      ...migrated,
+      version: migrated.version + 1,
+      state: SNAPSHOT_MIGRATIONS[migrated.version](migrated.state),
+    };
+  }
+  return migrated;
+}
+
+/**
+ * Checks that a value looks like a snapshot this build can restore
+ * @param {*} snapshot - Value to check
+ * @returns {boolean} Whether the snapshot can be restored
+ */
+export function isValidSnapshot(snapshot) {
+  return (
+    !!snapshot &&
+    typeof snapshot === "object" &&
+    snapshot.version === SNAPSHOT_VERSION &&
+    !!snapshot.state &&
+    Array.isArray(snapshot.state.boardSquares)
+  );
+}
+
+/**
+ * Persists a snapshot as the current in-progress run
+ * @param {RunSnapshot} snapshot - Snapshot to save
+ */
+export function saveRun(snapshot) {
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.warn("saveRun: No se pudo guardar la partida.", error);
+  }
+}
+
+/**
+ * Loads the saved in-progress run, if there is a valid one
+ * @returns {RunSnapshot|null} The saved snapshot or null
+ */
+export function loadSavedRun() {
+  try {
+    const raw = localStorage.getItem(SAVE_STORAGE_KEY);
+    if (!raw) return null;
+    const snapshot = migrateSnapshot(JSON.parse(raw));
+    if (!isValidSnapshot(snapshot)) {
+      console.warn("loadSavedRun: Partida guardada incompatible, se descarta.", snapshot?.version);
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    console.warn("loadSavedRun: No se pudo leer la partida guardada.", error);
+    return null;
+  }
+}
+
+/**
+ * Removes the saved in-progress run
+ */
+export function clearSavedRun() {
+  try {
+    localStorage.removeItem(SAVE_STORAGE_KEY);
+  } catch (error) {
+    console.warn("clearSavedRun: No se pudo borrar la partida guardada.", error);
+  }
+}
@@ -0,0 +1,31 @@
+// src/utils/score.js
+
+/**
+ * Points awarded by the score formula. Bribes cost points so buying a victory never
+ * outscores fighting for it.
+ * @const {{stage: number, money: number, perfectBossDefeat: number, bribe: number}}
+ */
+export const SCORE_WEIGHTS = {
+  stage: 1000,
+  money: 2,
+  perfectBossDefeat: 300,
+  bribe: -400,
+};
+
+/**
+ * Computes the leaderboard score of a player at the end of a run
+ * @param {Object} player - Player record, e.g. from the store's `playerSummaries`
+ * @param {number} player.stageReached - Furthest stage reached (stages + 1 after a victory)
+ * @param {number} player.playerMoney - Money held at the end of the run
+ * @param {number} player.perfectBossDefeats - Bosses left at exactly 0 HP
+ * @param {number} player.bribesBosses - Bosses bribed
+ * @returns {number} Score, never below 0
+ */
+export function computeScore({ stageReached, playerMoney, perfectBossDefeats, bribesBosses }) {
+  const score =
+    stageReached * SCORE_WEIGHTS.stage +
+    Math.max(0, playerMoney) * SCORE_WEIGHTS.money +
+    perfectBossDefeats * SCORE_WEIGHTS.perfectBossDefeat +
+    bribesBosses * SCORE_WEIGHTS.bribe;
+  return Math.max(0, Math.round(score));
+}
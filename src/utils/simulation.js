@@ -0,0 +1,124 @@
+// src/utils/simulation.js
+// Plays whole runs without a screen: the game store runs on its own Pinia instance in headless
+// mode (no timers, no components) and a strategy takes every decision. Used by the balance CLI
+// in scripts/simulate.js.
+import { createPinia } from "pinia";
+import { useGameStore } from "../stores/game";
+import { followRun, summarizeRunHistory } from "./runHistory";
+import { planStep } from "./strategies";
+
+/** @const {number} Actions after which a run is given up as stuck */
+export const MAX_SIMULATION_STEPS = 5000;
+
+/**
+ * @typedef {import("./runHistory").RunRecord & {steps: number}} SimulatedRun
+ */
+
+/**
+ * @typedef {Object} SimulationSummary
+ * Aggregates of `summarizeRunHistory` plus:
+ * @property {Object.<number, number>} lossesByStage - Lost runs, keyed by the stage they ended on
+ * @property {Object.<number, number>} averageMoneyAtBoss - Average money when a boss fight
+ *   ended, keyed by stage
+ * @property {number} bribeRate - Share of boss fights settled with a bribe
+ * @property {number} fightWinRate - Share of fought bosses (not bribed) that were defeated
+ * @property {number} stuckRuns - Runs that hit MAX_SIMULATION_STEPS without ending
+ */
+
+/**
+ * Makes the move the strategy picks for the phase the run is in
+ * @param {Object} store - Headless game store
+ * @param {import("./strategies").Strategy} strategy - Strategy playing the run
+ * @returns {Promise<void>} Resolves once the action is over
+ * @throws {Error} If the run is in a phase that waits for nothing
+ */
+async function playStep(store, strategy) {
+  const { action, args } = planStep(store, strategy);
+  await store[action](...args);
+}
+
+/**
+ * Plays one run from start to end
+ * @param {Object} options - Run options
+ * @param {string} options.seed - Seed of the run
+ * @param {import("./strategies").Strategy} options.strategy - Strategy taking every decision
+ * @param {import("./campaigns").Campaign} [options.campaign] - Campaign, the default one if omitted
+ * @param {string[]} [options.playerNames] - Hot-seat players, all played by the strategy
+ * @param {string[]} [options.plugins] - Ids of the plugins changing the rules, see utils/plugins
+ * @param {number} [options.stake] - Difficulty stake, see utils/stakes
+ * @param {boolean} [options.endless] - Keep playing generated stages after the campaign
+ * @param {number} [options.maxSteps] - Actions before the run is given up as stuck
+ * @returns {Promise<SimulatedRun>} Record of the run, `ending` is "stuck" if it never ended
+ */
+export async function simulateRun({
+  seed,
+  strategy,
+  campaign,
+  playerNames,
+  plugins,
+  stake,
+  endless,
+  maxSteps = MAX_SIMULATION_STEPS,
+}) {
+  const store = useGameStore(createPinia());
+  store.headless = true;
+  store.animationSpeedMultiplier = 0;
+  let record = null;
+  let current = null;
+  const stopFollowing = followRun(store, {
+    onChange: (run) => {
+      current = run;
+    },
+    onFinish: (run) => {
+      record = run;
+    },
+  });
+
+  store.initializeGame({ seed, campaign, playerNames, plugins, stake, endless });
+  let steps = 0;
+  while (!store.isGameOver && steps < maxSteps) {
+    await playStep(store, strategy);
+    steps++;
+  }
+  stopFollowing();
+  return { ...(record ?? { ...current, ending: "stuck" }), steps };
+}
+
+/**
+ * Aggregates simulated runs for the balance report
+ * @param {SimulatedRun[]} runs - Simulated runs
+ * @returns {SimulationSummary} Aggregated stats
+ */
+export function summarizeSimulation(runs) {
+  const finished = runs.filter((run) => run.ending !== "stuck");
+  const lossesByStage = {};
+  finished
+    .filter((run) => !run.won)
+    .forEach((run) => {
+      lossesByStage[run.stageReached] = (lossesByStage[run.stageReached] ?? 0) + 1;
+    });
+
+  const moneyByStage = {};
+  const fights = runs.flatMap((run) => run.bosses);
+  fights.forEach(({ stage, money }) => {
+    moneyByStage[stage] = moneyByStage[stage] ?? [];
+    moneyByStage[stage].push(money);
+  });
+  const averageMoneyAtBoss = {};
+  Object.entries(moneyByStage).forEach(([stage, amounts]) => {
+    averageMoneyAtBoss[stage] = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+  });
+
+  const bribes = fights.filter((fight) => fight.outcome === "bribed").length;
+  const fought = fights.length - bribes;
+  const wonFights = fights.filter((fight) => ["defeated", "perfect"].includes(fight.outcome));
+
+  return {
+    ...summarizeRunHistory(finished),
+    lossesByStage,
+    averageMoneyAtBoss,
+    bribeRate: fights.length ? bribes / fights.length : 0,
+    fightWinRate: fought ? wonFights.length / fought : 0,
+    stuckRuns: runs.length - finished.length,
+  };
+}
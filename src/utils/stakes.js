@@ -0,0 +1,191 @@
+// src/utils/stakes.js
+// Difficulty stakes. Every stake adds one modifier on top of the ones of the stakes below it,
+// so the stage configs of a run on stake N carry the modifiers of stakes 1 to N. Stake 0 plays
+// the campaign as designed. Winning a run unlocks the next stake.
+import { t } from "./i18n";
+import { DEFAULT_BOSS_ATTACK } from "./bossMechanics";
+
+/** @const {string} localStorage key holding the highest stake unlocked */
+const UNLOCKED_STAKE_STORAGE_KEY = "dice-or-die:unlocked-stake";
+
+/** @const {string} localStorage key holding the stake picked for new runs */
+const SELECTED_STAKE_STORAGE_KEY = "dice-or-die:selected-stake";
+
+/**
+ * @typedef {Object} Stake
+ * @property {number} level - Position in STAKES, stored in the run's `stake`
+ * @property {string} id - Stable identifier, used for the i18n keys
+ * @property {string} name - Display name
+ * @property {string} emoji - Chip shown next to the name
+ * @property {string} description - The modifier this stake adds
+ * @property {function(import("../stores/game").StageConfig): import("../stores/game").StageConfig}
+ *   [applyToStage] - Returns the stage config with the modifier applied
+ * @property {number} [bagSlots] - Slots added to (negative: removed from) the dice bag
+ */
+
+/**
+ * Returns a stage config with a changed boss defeat condition
+ * @param {import("../stores/game").StageConfig} stage - Stage config
+ * @param {Object} changes - Fields of `bossDefeatCondition` to replace
+ * @returns {import("../stores/game").StageConfig} New stage config
+ */
+function withBoss(stage, changes) {
+  return { ...stage, bossDefeatCondition: { ...stage.bossDefeatCondition, ...changes } };
+}
+
+/**
+ * Difficulty levels, easiest first
+ * @type {Stake[]}
+ */
+export const STAKES = [
+  { id: "white", emoji: "⚪" },
+  {
+    id: "red",
+    emoji: "🔴",
+    applyToStage: (stage) => ({
+      ...stage,
+      minBadSquares: stage.minBadSquares + 1,
+      maxBadSquares: stage.maxBadSquares + 1,
+    }),
+  },
+  {
+    id: "green",
+    emoji: "🟢",
+    applyToStage: (stage) =>
+      withBoss(stage, { hp: Math.round(stage.bossDefeatCondition.hp * 1.25) }),
+  },
+  {
+    id: "black",
+    emoji: "⚫",
+    applyToStage: (stage) =>
+      withBoss(stage, { diceThrows: Math.max(1, stage.bossDefeatCondition.diceThrows - 1) }),
+  },
+  {
+    id: "blue",
+    emoji: "🔵",
+    applyToStage: (stage) => ({
+      ...stage,
+      moneyMultiplier: Math.round(stage.moneyMultiplier * 80) / 100,
+    }),
+  },
+  {
+    id: "purple",
+    emoji: "🟣",
+    applyToStage: (stage) =>
+      withBoss(stage, { bribeCost: Math.round(stage.bossDefeatCondition.bribeCost * 1.5) }),
+  },
+  { id: "orange", emoji: "🟠", bagSlots: -5 },
+  {
+    id: "gold",
+    emoji: "🟡",
+    applyToStage: (stage) =>
+      withBoss(stage, {
+        attack: (stage.bossDefeatCondition.attack ?? DEFAULT_BOSS_ATTACK) + 1,
+      }),
+  },
+].map((stake, level) => ({
+  ...stake,
+  level,
+  get name() {
+    return t(`stakes.${stake.id}.name`);
+  },
+  get description() {
+    return t(`stakes.${stake.id}.description`);
+  },
+}));
+
+/**
+ * Gets a stake by level; unknown levels fall back to the base stake
+ * @param {number} level - Stake level
+ * @returns {Stake} The stake
+ */
+export function getStake(level) {
+  return STAKES[level] ?? STAKES[0];
+}
+
+/**
+ * Applies the modifiers of a stake, and of every stake below it, to the stages of a campaign
+ * @param {Object.<number, import("../stores/game").StageConfig>} stageConfigs - Stage configs
+ *   keyed by stage number, see campaignToStageConfigs
+ * @param {number} level - Stake level
+ * @returns {Object.<number, import("../stores/game").StageConfig>} Modified copies
+ */
+export function applyStake(stageConfigs, level) {
+  const modifiers = STAKES.slice(1, level + 1).filter((stake) => stake.applyToStage);
+  return Object.fromEntries(
+    Object.entries(stageConfigs).map(([stageNumber, stage]) => [
+      stageNumber,
+      modifiers.reduce((modified, stake) => stake.applyToStage(modified), stage),
+    ])
+  );
+}
+
+/**
+ * Gets the dice bag size of a run on a stake
+ * @param {number} level - Stake level
+ * @param {number} baseSize - Bag size on the base stake
+ * @returns {number} Bag size, at least 1
+ */
+export function getStakeBagSize(level, baseSize) {
+  const slots = STAKES.slice(1, level + 1).reduce((sum, stake) => sum + (stake.bagSlots ?? 0), 0);
+  return Math.max(1, baseSize + slots);
+}
+
+/**
+ * Reads a stake level from localStorage
+ * @param {string} key - localStorage key
+ * @returns {number} The stored level, 0 when missing or invalid
+ */
+function readStakeLevel(key) {
+  try {
+    const level = Number(localStorage.getItem(key));
+    return Number.isInteger(level) && STAKES[level] ? level : 0;
+  } catch (error) {
+    console.warn("stakes: No se pudo leer la apuesta.", error);
+    return 0;
+  }
+}
+
+/**
+ * Gets the highest stake the player can pick
+ * @returns {number} Stake level
+ */
+export function getUnlockedStake() {
+  return readStakeLevel(UNLOCKED_STAKE_STORAGE_KEY);
+}
+
+/**
+ * Unlocks the stake above the one a run was won on
+ * @param {number} wonLevel - Stake of the won run
+ * @returns {Stake|null} The stake just unlocked, null if it already was or there is none
+ */
+export function unlockNextStake(wonLevel) {
+  const next = STAKES[wonLevel + 1];
+  if (!next || next.level <= getUnlockedStake()) return null;
+  try {
+    localStorage.setItem(UNLOCKED_STAKE_STORAGE_KEY, String(next.level));
+  } catch (error) {
+    console.warn("unlockNextStake: No se pudo guardar la apuesta desbloqueada.", error);
+  }
+  return next;
+}
+
+/**
+ * Gets the stake picked for new runs, never above the highest unlocked one
+ * @returns {number} Stake level
+ */
+export function getSelectedStake() {
+  return Math.min(readStakeLevel(SELECTED_STAKE_STORAGE_KEY), getUnlockedStake());
+}
+
+/**
+ * Picks the stake used for new runs
+ * @param {number} level - Stake level
+ */
+export function selectStake(level) {
+  try {
+    localStorage.setItem(SELECTED_STAKE_STORAGE_KEY, String(level));
+  } catch (error) {
+    console.warn("selectStake: No se pudo guardar la apuesta elegida.", error);
+  }
+}
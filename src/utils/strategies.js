@@ -0,0 +1,347 @@
+// src/utils/strategies.js
+import { DICE_TYPES, describeDie, getDieDefinition } from "./diceRegistry";
+import { t } from "./i18n";
+
+/** @const {string[]} Phases in which the run waits for a decision of the player */
+export const PLAYABLE_PHASES = ["rolling", "jailed", "awaiting_choice", "boss_encounter"];
+
+/**
+ * @typedef {Object} Strategy
+ * Decides every move of a simulated player. Each function reads the game store and answers
+ * for the phase the run is in.
+ * @property {string} name - Id used by the simulation CLI
+ * @property {string} label - Display name
+ * @property {string} description - What the strategy does
+ * @property {function(Object): number} pickMoveDie - Bag index of the die to move with, or -1
+ *   for the normal die
+ * @property {function(Object, Object): Object} pickChoice - One of the enabled options of
+ *   `choiceDetails` (rewards, merchant)
+ * @property {function(Object): (Object|"bribe"|null)} pickBossAction - A die of the bag to throw
+ *   at the boss, "bribe" to pay the boss off, or null to throw the normal die
+ * @property {function(Object): boolean} shouldPayBail - Whether to pay the bail while jailed
+ * @property {{move: string, choice: string, bribe: string, bail: string}} reasons - Why the
+ *   strategy moves, picks, bribes and pays the bail the way it does, shown by the autopilot
+ */
+
+/**
+ * @typedef {Object} PlannedStep
+ * @property {string} action - Game store action to call
+ * @property {Array} args - Arguments of the action
+ * @property {string} reason - Why the strategy makes this move
+ */
+
+/**
+ * Lists the options a player can pick right now
+ * @param {Object} choiceDetails - Choice shown to the player
+ * @returns {Object[]} Enabled options
+ */
+function enabledOptions(choiceDetails) {
+  return choiceDetails.options.filter((option) => !option.disabled);
+}
+
+/**
+ * Gets the best result a die can roll
+ * @param {Object} die - Die data
+ * @returns {number} Highest face
+ */
+function highestFace(die) {
+  return Math.max(
+    ...getDieDefinition(die.type)
+      .faces(die)
+      .map((face) => face.value)
+  );
+}
+
+/**
+ * Picks the strongest unlocked die of the bag
+ * @param {Object} store - Game store
+ * @returns {Object|null} The die, or null when the bag has none to throw
+ */
+function strongestBagDie(store) {
+  const usable = store.reservedDice.filter((die) => !die.locked);
+  if (!usable.length) return null;
+  return usable.reduce((best, die) => (highestFace(die) > highestFace(best) ? die : best));
+}
+
+/**
+ * Throws the normal die while there are throws left, then the strongest dice of the bag
+ * @param {Object} store - Game store
+ * @returns {Object|null} Boss action, see Strategy.pickBossAction
+ */
+function fightBoss(store) {
+  if (store.remainingBossRolls > 0) return null;
+  return strongestBagDie(store);
+}
+
+/**
+ * Picks the bag die whose move earns the most money on average, when it beats the normal die
+ * @param {Object} store - Game store
+ * @returns {number} Bag index of the die, or -1 for the normal die
+ */
+function richestMove(store) {
+  let bestIndex = -1;
+  let bestMoney = store.previewDieMove({ type: DICE_TYPES.NORMAL }).expectedMoney;
+  store.reservedDice.forEach((die, index) => {
+    const { expectedMoney } = store.previewDieMove(die);
+    if (expectedMoney > bestMoney) {
+      bestIndex = index;
+      bestMoney = expectedMoney;
+    }
+  });
+  return bestIndex;
+}
+
+/**
+ * Whether the bribe is affordable
+ * @param {Object} store - Game store
+ * @returns {boolean} True when the player can pay the boss off
+ */
+function canBribe(store) {
+  return store.bossBribeCost != null && store.playerMoney >= store.bossBribeCost;
+}
+
+/**
+ * Takes dice over money, and buys the first die the merchant sells while it is affordable
+ * @param {Object} store - Game store
+ * @param {Object} choiceDetails - Choice shown to the player
+ * @returns {Object} Chosen option
+ */
+function preferDice(store, choiceDetails) {
+  const options = enabledOptions(choiceDetails);
+  const wanted = ["heal_player", "get_chosen_die", "buy_die", "get_boost"];
+  if (choiceDetails.type === "shop_sell") {
+    return options.find((option) => option.action === "open_shop_menu") ?? options[0];
+  }
+  for (const action of wanted) {
+    const option = options.find((candidate) => candidate.action === action);
+    if (option && (action !== "buy_die" || store.reservedDice.length < store.diceBagCapacity)) {
+      return option;
+    }
+  }
+  return options.find((option) => option.action === "leave_shop") ?? options[0];
+}
+
+/**
+ * Takes money over dice and never spends at the merchant
+ * @param {Object} store - Game store
+ * @param {Object} choiceDetails - Choice shown to the player
+ * @returns {Object} Chosen option
+ */
+function preferMoney(store, choiceDetails) {
+  const options = enabledOptions(choiceDetails);
+  return (
+    options.find((option) => option.action === "get_money_bonus") ??
+    options.find((option) => option.action === "leave_shop") ??
+    options.find((option) => option.action === "open_shop_menu") ??
+    options[0]
+  );
+}
+
+/**
+ * Translates the reasons of a strategy
+ * @param {string} name - Name of the strategy
+ * @returns {Strategy["reasons"]} Reasons in the language in use
+ */
+function strategyReasons(name) {
+  return Object.fromEntries(
+    ["move", "choice", "bribe", "bail"].map((kind) => [kind, t(`strategies.${name}.${kind}`)])
+  );
+}
+
+/**
+ * Built-in strategies, keyed by name
+ * @type {Object.<string, Strategy>}
+ */
+export const STRATEGIES = {
+  fighter: {
+    name: "fighter",
+    get label() {
+      return t("strategies.fighter.label");
+    },
+    get description() {
+      return t("strategies.fighter.description");
+    },
+    pickMoveDie: () => -1,
+    pickChoice: preferDice,
+    pickBossAction: fightBoss,
+    shouldPayBail: () => false,
+    get reasons() {
+      return strategyReasons("fighter");
+    },
+  },
+  briber: {
+    name: "briber",
+    get label() {
+      return t("strategies.briber.label");
+    },
+    get description() {
+      return t("strategies.briber.description");
+    },
+    pickMoveDie: () => -1,
+    pickChoice: preferMoney,
+    pickBossAction: (store) => (canBribe(store) ? "bribe" : fightBoss(store)),
+    shouldPayBail: (store) => store.playerMoney >= store.jailBailCost * 3,
+    get reasons() {
+      return strategyReasons("briber");
+    },
+  },
+  balanced: {
+    name: "balanced",
+    get label() {
+      return t("strategies.balanced.label");
+    },
+    get description() {
+      return t("strategies.balanced.description");
+    },
+    pickMoveDie: () => -1,
+    pickChoice: preferDice,
+    pickBossAction: (store) => {
+      const bagDamage = store.reservedDice
+        .filter((die) => !die.locked)
+        .reduce((sum, die) => sum + highestFace(die), 0);
+      const bestCase = bagDamage + store.remainingBossRolls * 6;
+      if (bestCase < store.currentBossHP && canBribe(store)) return "bribe";
+      return fightBoss(store);
+    },
+    shouldPayBail: (store) => store.playerMoney >= store.jailBailCost * 2,
+    get reasons() {
+      return strategyReasons("balanced");
+    },
+  },
+  greedy: {
+    name: "greedy",
+    get label() {
+      return t("strategies.greedy.label");
+    },
+    get description() {
+      return t("strategies.greedy.description");
+    },
+    pickMoveDie: richestMove,
+    pickChoice: preferMoney,
+    pickBossAction: (store) => (canBribe(store) ? "bribe" : fightBoss(store)),
+    shouldPayBail: (store) => store.playerMoney >= store.jailBailCost,
+    get reasons() {
+      return strategyReasons("greedy");
+    },
+  },
+};
+
+/**
+ * Formats an amount of money with its sign, e.g. "+$4.5"
+ * @param {number} amount - Amount of money
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+  return `${amount < 0 ? "-" : "+"}$${Math.abs(amount).toFixed(1)}`;
+}
+
+/**
+ * Plans the move of the strategy in a boss fight
+ * @param {Object} store - Game store in the boss_encounter phase
+ * @param {Strategy} strategy - Strategy playing the run
+ * @returns {PlannedStep} The move
+ */
+function planBossStep(store, strategy) {
+  const boss = store.currentBoss?.name ?? t("strategies.plan.theBoss");
+  const action = strategy.pickBossAction(store);
+  if (action === "bribe") {
+    return {
+      action: "payToDefeatBoss",
+      args: [],
+      reason: t("strategies.plan.bribe", {
+        boss,
+        cost: store.bossBribeCost,
+        reason: strategy.reasons.bribe,
+      }),
+    };
+  }
+  if (!action && store.remainingBossRolls > 0) {
+    return {
+      action: "rollDice",
+      args: [],
+      reason: t("strategies.plan.bossRoll", {
+        boss,
+        hp: store.currentBossHP,
+        rolls: store.remainingBossRolls,
+      }),
+    };
+  }
+  // The strategy passed with no throws left: fall back to the first die it can throw
+  const die = action ?? store.reservedDice.find((candidate) => !candidate.locked);
+  if (die) {
+    return {
+      action: "rollDiceForBoss",
+      args: [die],
+      reason: t("strategies.plan.bossDie", {
+        die: describeDie(die),
+        boss,
+        max: highestFace(die),
+        hp: store.currentBossHP,
+      }),
+    };
+  }
+  return { action: "failBossFight", args: [], reason: t("strategies.plan.noDice", { boss }) };
+}
+
+/**
+ * Plans the move the strategy makes in the phase the run is in
+ * @param {Object} store - Game store
+ * @param {Strategy} strategy - Strategy playing the run
+ * @returns {PlannedStep} The move
+ * @throws {Error} If the run is in a phase that waits for no decision, see PLAYABLE_PHASES
+ */
+export function planStep(store, strategy) {
+  switch (store.gamePhase) {
+    case "rolling": {
+      const index = strategy.pickMoveDie(store);
+      const die = store.reservedDice[index];
+      if (!die) {
+        return {
+          action: "rollDice",
+          args: [-1],
+          reason: t("strategies.plan.normalDie", { reason: strategy.reasons.move }),
+        };
+      }
+      const { expectedMoney } = store.previewDieMove(die);
+      return {
+        action: "rollDice",
+        args: [index],
+        reason: t("strategies.plan.bagDie", {
+          die: describeDie(die),
+          money: formatMoney(expectedMoney),
+        }),
+      };
+    }
+    case "jailed":
+      if (store.playerMoney >= store.jailBailCost && strategy.shouldPayBail(store)) {
+        return {
+          action: "payBail",
+          args: [],
+          reason: t("strategies.plan.bail", {
+            cost: store.jailBailCost,
+            reason: strategy.reasons.bail,
+          }),
+        };
+      }
+      return {
+        action: "rollDice",
+        args: [],
+        reason: t("strategies.plan.escape", { roll: store.jailEscapeRoll }),
+      };
+    case "awaiting_choice": {
+      const option = strategy.pickChoice(store, store.choiceDetails);
+      return {
+        action: "playerMakesChoice",
+        args: [option],
+        reason: t("strategies.plan.choice", {
+          option: option.text,
+          reason: strategy.reasons.choice,
+        }),
+      };
+    }
+    case "boss_encounter":
+      return planBossStep(store, strategy);
+    default:
+      throw new Error(`planStep: La partida está en la fase "${store.gamePhase}".`);
+  }
+}